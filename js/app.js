@@ -8,6 +8,12 @@
 // ===== CONFIGURATION =====
 const CONFIG = {
   manifestUrl: 'database/manifest.json',
+  defaultLanguage: 'en',
+  printPaperSizes: { a4: 'A4', letter: 'Letter' },
+  maxSearchResults: 50, // Search results shown in the dropdown (best first)
+  maxRosterSize: 20, // Most entries drawn at once by the random roster
+  generatedNames: 6, // Names offered at once by the name generator
+  maxCompared: 4, // Most entries shown side by side in the compare view
   preloadImages: true,
   enableKeyboardNav: true,
   enableUrlRouting: true
@@ -25,7 +31,27 @@ const state = {
   searchResults: [],
   searchSelectedIndex: -1,
   showSearchDropdown: false,
-  favorites: [] // Array of pinned items: [{categoryIndex, subcategoryIndex, itemIndex, item}]
+  collections: [], // Named favorite lists: [{id, name, items: [{id, item}]}]
+  expandedCollections: new Set(), // Collection IDs unfolded in the sidebar
+  notes: new Map(), // Entry ID → {text, updated}: the user's private notes (localStorage only)
+  notesIndex: null, // Word index over notes, numbered like the search engine's entries
+  detailsCache: new Map(), // Details file URL → Promise resolved once merged into items
+  searchIndex: null, // Map of item ID → {language: searchable info text} (loaded on first focus)
+  searchIndexPromise: null,
+  prebuiltSearch: null, // {index, ids} from the generator's search-index.json
+  searchEngine: null, // Entries and word index queried by searchAllDatabase()
+  entryIndex: new Map(), // Stable entry ID → {categoryIndex, subcategoryIndex, itemIndex}
+  exportFormat: 'foundry-actor', // Last chosen VTT export format
+  compare: [], // Entry IDs picked for the compare view, in the order added
+  compareOpen: false, // True while the compare view replaces the grid and panels
+  nameGenerator: { gender: 'any', city: '', names: [], selected: -1 }, // Name dialog
+  roster: { scope: 'subcategory', filters: {}, count: 3, seed: '', drawnSeed: '', items: [], random: null }, // Random roster panel
+  gmMode: false, // True when the full (GM) manifest is loaded; secrets are highlighted
+  filters: {}, // Facet key → selected values (any value within a facet, every facet)
+  filterScope: 'subcategory', // 'subcategory' or 'all' (filter the whole database)
+  updateAvailable: false, // True once the service worker reported a newer database
+  language: null, // Preferred content language code (remembered in localStorage)
+  languages: [] // Every content language present in the manifest
 };
 
 // ===== DOM ELEMENT REFERENCES =====
@@ -36,39 +62,247 @@ const elements = {
   infoPanel: null,
   imagePanel: null,
   mainContent: null,
+  content: null,
+  compareView: null,
+  compareTray: null,
   searchInput: null,
   searchContainer: null,
   searchResults: null,
   shareButton: null,
-  breadcrumb: null
+  breadcrumb: null,
+  languageSelect: null,
+  printButton: null,
+  printMenu: null,
+  exportButton: null,
+  exportMenu: null,
+  rosterButton: null,
+  rosterPanel: null,
+  namesButton: null,
+  namesPanel: null,
+  offlineButton: null,
+  printCards: null,
+  filterBar: null,
+  collectionBar: null,
+  collectionMenu: null
 };
 
-// ===== FAVORITES MANAGEMENT =====
+// ===== FAVORITE COLLECTIONS =====
+
+// Version written into exported collection files
+const COLLECTIONS_FILE_VERSION = 1;
 
 /**
- * Load favorites from localStorage
+ * Load favorite collections from localStorage
+ * Entries are stored by stable entry ID. The single favorites list of older
+ * versions (`aoh-favorites`) becomes a collection called "Favorites".
  */
-function loadFavorites() {
+function loadCollections() {
   try {
-    const saved = localStorage.getItem('aoh-favorites');
+    const saved = localStorage.getItem('aoh-collections');
     if (saved) {
-      state.favorites = JSON.parse(saved);
+      state.collections = JSON.parse(saved).map(collection =>
+        createCollection(collection.name, resolveFavoriteIds(collection.items || []), collection.id)
+      );
+      return;
+    }
+
+    const legacy = localStorage.getItem('aoh-favorites');
+    if (legacy) {
+      state.collections = [createCollection('Favorites', resolveFavoriteIds(JSON.parse(legacy)))];
+      saveCollections();
     }
   } catch (error) {
-    console.warn('Failed to load favorites:', error);
-    state.favorites = [];
+    console.warn('Failed to load favorite collections:', error);
+    state.collections = [];
+  }
+}
+
+/**
+ * Turn saved or imported favorites into entry IDs
+ * Accepts `{id}`, `{id, name}` (the name is used when the ID no longer
+ * exists) and the pre-ID format saved by index (see findLegacyFavoriteId);
+ * anything else is skipped.
+ * @param {Array<Object>} favorites - Saved favorites
+ * @returns {string[]} IDs of existing entries, without duplicates
+ */
+function resolveFavoriteIds(favorites) {
+  const seen = new Set();
+
+  return favorites
+    .map(fav => {
+      if (!fav || typeof fav !== 'object') return null;
+      if (fav.id && getItemById(fav.id)) return fav.id;
+      if (fav.id) console.warn(`Favorite "${fav.id}" no longer exists in the database`);
+      return fav.name || fav.item ? findLegacyFavoriteId(fav) : null;
+    })
+    .filter(id => {
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+}
+
+/**
+ * Resolve a favorite saved by index (pre-ID format) or by name to an entry ID
+ * Prefers the entry at the saved position if its name still matches,
+ * otherwise falls back to the first entry with the same name.
+ * @param {Object} fav - Legacy favorite {categoryIndex, subcategoryIndex, itemIndex, item}
+ *   or imported favorite {name}
+ * @returns {string|null} Entry ID or null if it cannot be resolved
+ */
+function findLegacyFavoriteId(fav) {
+  const name = fav.name || fav.item?.name;
+  const atIndex = state.manifest.categories[fav.categoryIndex]
+    ?.subcategories?.[fav.subcategoryIndex]
+    ?.items?.[fav.itemIndex];
+
+  if (atIndex && atIndex.name === name) {
+    return atIndex.id;
+  }
+
+  for (const category of state.manifest.categories) {
+    for (const subcategory of category.subcategories || []) {
+      const match = (subcategory.items || []).find(item => item.name === name);
+      if (match) return match.id;
+    }
   }
+
+  return null;
 }
 
 /**
- * Save favorites to localStorage
+ * Save favorite collections to localStorage
  */
-function saveFavorites() {
+function saveCollections() {
   try {
-    localStorage.setItem('aoh-favorites', JSON.stringify(state.favorites));
+    const collections = state.collections.map(collection => ({
+      id: collection.id,
+      name: collection.name,
+      items: collection.items.map(fav => ({ id: fav.id }))
+    }));
+    localStorage.setItem('aoh-collections', JSON.stringify(collections));
   } catch (error) {
-    console.error('Failed to save favorites:', error);
+    console.error('Failed to save favorite collections:', error);
+  }
+}
+
+/**
+ * Create a collection object (not yet added to state)
+ * @param {string} name - Collection name
+ * @param {string[]} [ids=[]] - Entry IDs, in order
+ * @param {string} [id] - Collection ID (generated when omitted)
+ * @returns {{id: string, name: string, items: Array<{id: string, item: Object}>}}
+ */
+function createCollection(name, ids = [], id = null) {
+  return {
+    id: id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    items: ids.map(itemId => ({ id: itemId, item: getItemById(itemId) }))
+  };
+}
+
+/**
+ * Find a collection by name, ignoring case
+ * @param {string} name - Collection name
+ * @returns {Object|null} Collection
+ */
+function findCollectionByName(name) {
+  const wanted = name.toLowerCase();
+  return state.collections.find(collection => collection.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Ask for a collection name
+ * @param {string} message - Prompt text
+ * @param {Object|null} [renaming] - Collection being renamed (may keep its name)
+ * @param {string} [suggestion=''] - Name offered for a new collection
+ * @returns {string|null} Trimmed, unused name, or null if cancelled
+ */
+function askCollectionName(message, renaming = null, suggestion = '') {
+  const name = (window.prompt(message, renaming ? renaming.name : suggestion) || '').trim();
+  if (!name) return null;
+
+  const existing = findCollectionByName(name);
+  if (existing && existing !== renaming) {
+    showToast(`A collection called “${existing.name}” already exists`, 'error', 3000);
+    return null;
+  }
+  return name;
+}
+
+/**
+ * Create a collection named by the user
+ * @returns {Object|null} New collection, or null if cancelled
+ */
+function addCollection() {
+  const name = askCollectionName('Name of the new collection:');
+  if (!name) return null;
+
+  const collection = createCollection(name);
+  state.collections.push(collection);
+  state.expandedCollections.add(collection.id);
+  saveCollections();
+  return collection;
+}
+
+/**
+ * Rename a collection
+ * @param {Object} collection - Collection
+ */
+function renameCollection(collection) {
+  const name = askCollectionName('Rename collection:', collection);
+  if (!name || name === collection.name) return;
+
+  collection.name = name;
+  saveCollections();
+  updateUI();
+}
+
+/**
+ * Delete a collection after confirmation
+ * @param {Object} collection - Collection
+ */
+function deleteCollection(collection) {
+  const count = collection.items.length;
+  if (!window.confirm(`Delete the collection “${collection.name}” (${count} ${count === 1 ? 'entry' : 'entries'})?`)) return;
+
+  state.collections.splice(state.collections.indexOf(collection), 1);
+  saveCollections();
+  showToast(`Collection “${collection.name}” deleted`, 'info', 2000);
+
+  if (state.currentCategory === -1) {
+    state.currentSubcategory = Math.min(state.currentSubcategory, state.collections.length - 1);
+    state.currentItem = getCurrentItems().length > 0 ? 0 : -1;
   }
+  updateUI();
+}
+
+/**
+ * Get the collection shown in the Favorites view
+ * @returns {Object|null} Collection, or null outside Favorites
+ */
+function getCurrentCollection() {
+  if (state.currentCategory !== -1) return null;
+  return state.collections[state.currentSubcategory] || null;
+}
+
+/**
+ * Check if an item is pinned to any collection
+ * @param {Object} item - Manifest item
+ * @returns {boolean} True if pinned
+ */
+function isFavorite(item) {
+  return !!item && state.collections.some(collection => isInCollection(collection, item));
+}
+
+/**
+ * Check if an item is pinned to a collection
+ * @param {Object} collection - Collection
+ * @param {Object} item - Manifest item
+ * @returns {boolean} True if pinned there
+ */
+function isInCollection(collection, item) {
+  return collection.items.some(fav => fav.id === item.id);
 }
 
 /**
@@ -78,227 +312,888 @@ function saveFavorites() {
 function isItemPinned() {
   if (state.currentCategory === -1) return false;
   
-  return state.favorites.some(fav => 
-    fav.categoryIndex === state.currentCategory &&
-    fav.subcategoryIndex === state.currentSubcategory &&
-    fav.itemIndex === state.currentItem
-  );
+  return isFavorite(getCurrentItem());
 }
 
 /**
- * Toggle pin status of current item
+ * Add an item to a collection, or remove it if already there
+ * @param {Object} item - Manifest item
+ * @param {Object} collection - Collection
  */
-function togglePin() {
-  if (state.currentCategory === -1) return;
-  
-  const item = getCurrentItem();
-  if (!item) return;
-  
-  const existingIndex = state.favorites.findIndex(fav =>
-    fav.categoryIndex === state.currentCategory &&
-    fav.subcategoryIndex === state.currentSubcategory &&
-    fav.itemIndex === state.currentItem
-  );
+function toggleFavorite(item, collection) {
+  const existingIndex = collection.items.findIndex(fav => fav.id === item.id);
   
   if (existingIndex >= 0) {
     // Unpin
-    state.favorites.splice(existingIndex, 1);
-    showToast(`${item.name} removed from favorites`, 'info', 2000);
+    collection.items.splice(existingIndex, 1);
+    showToast(`${item.name} removed from ${collection.name}`, 'info', 2000);
   } else {
     // Pin
-    state.favorites.push({
-      categoryIndex: state.currentCategory,
-      subcategoryIndex: state.currentSubcategory,
-      itemIndex: state.currentItem,
-      item: {
-        name: item.name,
-        avatar: item.avatar,
-        image: item.image,
-        info: item.info
-      }
-    });
-    showToast(`${item.name} added to favorites`, 'success', 2000);
+    collection.items.push({ id: item.id, item });
+    showToast(`${item.name} added to ${collection.name}`, 'success', 2000);
   }
   
-  saveFavorites();
-  updateUI();
+  saveCollections();
+}
+
+/**
+ * Pin or unpin an item from a category view
+ * The first pin creates a "Favorites" collection; with a single collection
+ * the item is toggled there, with several a menu lets the user choose.
+ * @param {Object} item - Manifest item
+ * @param {HTMLElement} [anchor] - Button the collection menu opens below
+ */
+function pinItem(item, anchor) {
+  if (state.collections.length === 0) {
+    state.collections.push(createCollection('Favorites'));
+  }
+
+  if (state.collections.length > 1) {
+    openCollectionMenu(item, anchor);
+    return;
+  }
+
+  toggleFavorite(item, state.collections[0]);
+  renderCategories(); // Update favorites list in sidebar
+  renderItemsGrid(); // Re-render grid to update pin button state
+}
+
+/**
+ * Toggle pin status of current item
+ */
+function togglePin() {
+  if (state.currentCategory === -1) return;
+  
+  const item = getCurrentItem();
+  if (!item) return;
+  
+  pinItem(item);
 }
 
 /**
  * Toggle pin status of item by index (for grid pin buttons)
  * @param {number} itemIndex - Index of the item in current items array
+ * @param {HTMLElement} [anchor] - The pin button
  */
-function togglePinByIndex(itemIndex) {
+function togglePinByIndex(itemIndex, anchor) {
   const items = getCurrentItems();
   const item = items[itemIndex];
   if (!item) return;
   
-  // Handle Favorites category differently
+  // In Favorites the pin removes the item from the collection shown
   if (state.currentCategory === -1) {
-    // In Favorites view, itemIndex corresponds to favorites array index
-    if (itemIndex >= 0 && itemIndex < state.favorites.length) {
-      const fav = state.favorites[itemIndex];
-      state.favorites.splice(itemIndex, 1);
-      showToast(`${fav.item.name} removed from favorites`, 'info', 2000);
-      saveFavorites();
-      renderCategories(); // Update favorites list in sidebar
-      renderItemsGrid(); // Re-render grid to update pin button state
+    const collection = getCurrentCollection();
+    collection.items.splice(itemIndex, 1);
+    showToast(`${item.name} removed from ${collection.name}`, 'info', 2000);
+    saveCollections();
+    if (itemIndex < state.currentItem || state.currentItem >= collection.items.length) {
+      state.currentItem--;
     }
+    updateUI();
     return;
   }
   
-  const existingIndex = state.favorites.findIndex(fav =>
-    fav.categoryIndex === state.currentCategory &&
-    fav.subcategoryIndex === state.currentSubcategory &&
-    fav.itemIndex === itemIndex
-  );
-  
-  if (existingIndex >= 0) {
-    // Unpin
-    state.favorites.splice(existingIndex, 1);
-    showToast(`${item.name} removed from favorites`, 'info', 2000);
-  } else {
-    // Pin
-    state.favorites.push({
-      categoryIndex: state.currentCategory,
-      subcategoryIndex: state.currentSubcategory,
-      itemIndex: itemIndex,
-      item: {
-        name: item.name,
-        avatar: item.avatar,
-        image: item.image,
-        info: item.info
-      }
-    });
-    showToast(`${item.name} added to favorites`, 'success', 2000);
-  }
-  
-  saveFavorites();
-  renderCategories(); // Update favorites list in sidebar
-  renderItemsGrid(); // Re-render grid to update pin button state
+  pinItem(item, anchor);
 }
 
 /**
- * Select a favorite item (navigate to it)
- * @param {number} favIndex - Index in favorites array
+ * Open the menu that pins an item to one or more collections
+ * @param {Object} item - Manifest item
+ * @param {HTMLElement} [anchor] - Element to open below
  */
-function selectFavorite(favIndex) {
-  const fav = state.favorites[favIndex];
-  if (!fav) return;
-  
-  // Navigate to the actual item
-  state.currentCategory = fav.categoryIndex;
-  state.currentSubcategory = fav.subcategoryIndex;
-  state.currentItem = fav.itemIndex;
-  
-  updateUI();
-}
+function openCollectionMenu(item, anchor) {
+  const menu = elements.collectionMenu;
+  if (!menu) return;
+  menu.innerHTML = '';
 
-// ===== INITIALIZATION =====
+  const heading = document.createElement('div');
+  heading.className = 'action-menu-title';
+  heading.textContent = `Pin ${item.name} to`;
+  menu.appendChild(heading);
+
+  const refresh = () => {
+    closeCollectionMenu();
+    renderCategories();
+    renderItemsGrid();
+  };
+
+  state.collections.forEach(collection => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('role', 'menuitemcheckbox');
+    button.setAttribute('aria-checked', isInCollection(collection, item) ? 'true' : 'false');
+    button.textContent = `${collection.name} (${collection.items.length})`;
+    button.addEventListener('click', () => {
+      toggleFavorite(item, collection);
+      refresh();
+    });
+    menu.appendChild(button);
+  });
+
+  const create = document.createElement('button');
+  create.type = 'button';
+  create.setAttribute('role', 'menuitem');
+  create.className = 'collection-menu-new';
+  create.textContent = 'New collection…';
+  create.addEventListener('click', () => {
+    const collection = addCollection();
+    if (collection) toggleFavorite(item, collection);
+    refresh();
+  });
+  menu.appendChild(create);
+
+  // Open below the pin (or the grid), kept inside the window
+  const rect = (anchor || elements.itemsGrid).getBoundingClientRect();
+  menu.style.top = `${Math.round(rect.top + (anchor ? rect.height : 0) + 4)}px`;
+  menu.style.left = `${Math.round(Math.max(8, Math.min(rect.left, window.innerWidth - 248)))}px`;
+
+  menu.hidden = false;
+  menu.querySelector('button')?.focus();
+}
 
 /**
- * Initialize the application when DOM is ready
+ * Close the collection menu
  */
-async function init() {
-  try {
-    // Cache DOM elements
-    elements.categoryList = document.getElementById('category-list');
-    elements.subcategories = document.getElementById('subcategories');
-    elements.itemsGrid = document.getElementById('items-grid');
-    elements.infoPanel = document.getElementById('info-panel');
-    elements.imagePanel = document.getElementById('image-panel');
-    elements.mainContent = document.getElementById('main-content');
-    elements.searchInput = document.getElementById('search-input');
-    elements.searchContainer = document.getElementById('search-container');
-    elements.searchResults = document.getElementById('search-results');
-    elements.shareButton = document.getElementById('share-button');
-    elements.breadcrumb = document.getElementById('breadcrumb');
+function closeCollectionMenu() {
+  if (elements.collectionMenu) elements.collectionMenu.hidden = true;
+}
 
-    // Show loading state
-    showLoading();
+/**
+ * Open a collection in the Favorites view
+ * Clicking the collection already open folds or unfolds it in the sidebar.
+ * @param {number} index - Index in state.collections
+ */
+function selectCollection(index) {
+  const collection = state.collections[index];
+  if (!collection) return;
 
-    // Load manifest data
-    const response = await fetch(CONFIG.manifestUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to load manifest: ${response.statusText}`);
-    }
-    state.manifest = await response.json();
-    
-    // Validate manifest
-    if (!state.manifest || !state.manifest.categories || !Array.isArray(state.manifest.categories)) {
-      throw new Error('Invalid manifest structure');
+  if (state.currentCategory === -1 && index === state.currentSubcategory) {
+    if (!state.expandedCollections.delete(collection.id)) {
+      state.expandedCollections.add(collection.id);
     }
-    
-    // Load favorites from localStorage
-    loadFavorites();
+    renderCategories();
+    return;
+  }
 
-    // Load all thumbnails first (blocking - but they're small and few)
-    if (CONFIG.preloadImages) {
-      await preloadThumbnails();
-    }
+  state.currentCategory = -1;
+  state.currentSubcategory = index;
+  state.currentItem = collection.items.length > 0 ? 0 : -1;
+  state.expandedCollections.add(collection.id);
+  updateUI();
+}
 
-    // Parse URL hash for initial state (if routing enabled)
-    if (CONFIG.enableUrlRouting) {
-      parseUrlHash();
-    }
+/**
+ * Select a favorite item within its collection
+ * @param {number} collectionIndex - Index in state.collections
+ * @param {number} itemIndex - Index in the collection
+ */
+function selectFavorite(collectionIndex, itemIndex) {
+  const collection = state.collections[collectionIndex];
+  if (!collection || !collection.items[itemIndex]) return;
 
-    // Render initial UI immediately - thumbnails are loaded
-    updateUI();
+  state.currentCategory = -1;
+  state.currentSubcategory = collectionIndex;
+  state.currentItem = itemIndex;
+  
+  updateUI();
+}
 
-    // Setup event listeners
-    setupEventListeners();
+/**
+ * Move an entry within the collection shown, keeping the selection on the
+ * same entry
+ * @param {number} from - Current position
+ * @param {number} to - New position
+ */
+function moveFavorite(from, to) {
+  const collection = getCurrentCollection();
+  if (!collection || from === to || !collection.items[from] || !collection.items[to]) return;
 
-    // Hide loading state - UI is ready with thumbnails
-    hideLoading();
+  const selected = collection.items[state.currentItem];
+  const [moved] = collection.items.splice(from, 1);
+  collection.items.splice(to, 0, moved);
+  state.currentItem = collection.items.indexOf(selected);
 
-    // Start progressive loading of avatars and images in background (non-blocking)
-    if (CONFIG.preloadImages) {
-      preloadAvatarsAndImagesProgressively().catch(error => {
-        console.warn('Progressive image preload encountered errors:', error);
-      });
-    }
+  saveCollections();
+  updateUI();
+}
 
-  } catch (error) {
-    console.error('Initialization error:', error);
-    showToast('Failed to load the database. Please refresh the page.', 'error', 0);
-    hideLoading();
+/**
+ * Let a grid item of a collection be dragged to another position
+ * @param {HTMLElement} element - Grid item
+ * @param {number} index - Its position in the collection
+ */
+function makeReorderable(element, index) {
+  element.draggable = true;
+
+  element.addEventListener('dragstart', (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(index));
+    element.classList.add('dragging');
+  });
+  element.addEventListener('dragend', () => element.classList.remove('dragging'));
+  element.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    element.classList.add('drop-target');
+  });
+  element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+  element.addEventListener('drop', (e) => {
+    e.preventDefault();
+    element.classList.remove('drop-target');
+    moveFavorite(Number(e.dataTransfer.getData('text/plain')), index);
+  });
+}
+
+/**
+ * Download every collection as a JSON file
+ * Entries carry their names too, so a file still imports after IDs change.
+ */
+function exportCollections() {
+  if (state.collections.length === 0) {
+    showToast('There are no collections to export yet', 'info', 2000);
+    return;
   }
+
+  downloadJson({
+    format: 'aoh-collections',
+    version: COLLECTIONS_FILE_VERSION,
+    collections: state.collections.map(collection => ({
+      name: collection.name,
+      items: collection.items.map(fav => ({ id: fav.id, name: fav.item.name }))
+    }))
+  }, 'aoh-collections.json');
 }
 
 /**
- * Preload all thumbnails (blocking - but small and few)
- * @returns {Promise<void>}
+ * Check for a plain object (not null, an array or a primitive)
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean}
  */
-async function preloadThumbnails() {
-  const thumbnails = [];
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-  state.manifest.categories.forEach((category) => {
-    if (!category.subcategories || !Array.isArray(category.subcategories)) {
+/**
+ * Import collections from a file written by exportCollections()
+ * Collections are matched by name: entries are added to an existing
+ * collection of the same name, other collections are created.
+ * @param {File} file - Chosen file
+ */
+async function importCollections(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    data = null;
+  }
+
+  if (!data || data.format !== 'aoh-collections' || !Array.isArray(data.collections)) {
+    showToast(`${file.name} is not a collections export`, 'error', 5000);
+    return;
+  }
+  if (data.version > COLLECTIONS_FILE_VERSION) {
+    showToast(`${file.name} was exported by a newer version of the site`, 'error', 5000);
+    return;
+  }
+
+  let added = 0;
+  let malformed = 0;
+  let duplicates = 0;
+  let missing = 0;
+  data.collections.forEach(imported => {
+    const name = isPlainObject(imported) ? String(imported.name || '').trim() : '';
+    if (!name) {
+      malformed++;
       return;
     }
-    
-    category.subcategories.forEach((subcategory) => {
-      if (subcategory.thumbnail) {
-        thumbnails.push(subcategory.thumbnail);
+
+    let collection = findCollectionByName(name);
+    if (!collection) {
+      collection = createCollection(name);
+      state.collections.push(collection);
+    }
+
+    const entries = Array.isArray(imported.items) ? imported.items : [];
+    entries.forEach(fav => {
+      if (!isPlainObject(fav) || typeof fav.id !== 'string') {
+        malformed++;
+        return;
+      }
+      const [id] = resolveFavoriteIds([{ id: fav.id, name: typeof fav.name === 'string' ? fav.name : undefined }]);
+      if (!id) {
+        missing++;
+      } else if (collection.items.some(existing => existing.id === id)) {
+        duplicates++;
+      } else {
+        collection.items.push({ id, item: getItemById(id) });
+        added++;
       }
     });
   });
 
-  // Load all thumbnails in parallel (they're small)
-  await Promise.all(thumbnails.map(src => loadImage(src)));
+  saveCollections();
+  updateUI();
+  const notes = [
+    missing > 0 && `${missing} not found in this database`,
+    duplicates > 0 && `${duplicates} already in ${duplicates === 1 ? 'its collection' : 'their collections'}`,
+    malformed > 0 && `${malformed} malformed ${malformed === 1 ? 'record' : 'records'} skipped`
+  ].filter(Boolean);
+  showToast(
+    `Imported ${added} ${added === 1 ? 'entry' : 'entries'}` + (notes.length > 0 ? ` (${notes.join(', ')})` : ''),
+    missing > 0 || malformed > 0 ? 'info' : 'success',
+    4000
+  );
 }
 
 /**
- * Preload avatars and images progressively - loads one at a time without blocking UI
- * Priority: 1) Avatars, 2) Full images
- * @returns {Promise<void>}
+ * Render the collection toolbar above the grid (Favorites view only)
  */
-async function preloadAvatarsAndImagesProgressively() {
-  const avatars = [];
-  const images = [];
+function renderCollectionBar() {
+  const bar = elements.collectionBar;
+  if (!bar) return;
+  bar.innerHTML = '';
 
-  state.manifest.categories.forEach((category) => {
-    if (!category.subcategories || !Array.isArray(category.subcategories)) {
+  bar.hidden = state.currentCategory !== -1;
+  if (bar.hidden) return;
+
+  const collection = getCurrentCollection();
+
+  const addButton = (label, icon, onClick, disabled = false) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'collection-action';
+    button.disabled = disabled;
+    const i = document.createElement('i');
+    i.className = `fas ${icon}`;
+    i.setAttribute('aria-hidden', 'true');
+    button.append(i, ` ${label}`);
+    button.addEventListener('click', onClick);
+    bar.appendChild(button);
+  };
+
+  addButton('New collection', 'fa-plus', () => {
+    const created = addCollection();
+    if (created) selectCollection(state.collections.indexOf(created));
+  });
+  addButton('Rename', 'fa-pen', () => renameCollection(collection), !collection);
+  addButton('Delete', 'fa-trash', () => deleteCollection(collection), !collection);
+  addButton('Export', 'fa-download', exportCollections, state.collections.length === 0);
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.hidden = true;
+  input.addEventListener('change', () => {
+    if (input.files[0]) importCollections(input.files[0]);
+  });
+  bar.appendChild(input);
+  addButton('Import', 'fa-upload', () => input.click());
+
+  if (collection && collection.items.length > 1) {
+    const hint = document.createElement('span');
+    hint.className = 'collection-hint';
+    hint.textContent = 'Drag entries (or Shift+←/→) to reorder';
+    bar.appendChild(hint);
+  }
+}
+
+// ===== PRIVATE NOTES =====
+
+// Version written into exported notes files
+const NOTES_FILE_VERSION = 1;
+
+/**
+ * Load the user's private notes from localStorage
+ * Notes are keyed by stable entry ID and never leave the browser except
+ * through exportNotes(): they are not part of the manifest, routes or
+ * shared links.
+ */
+function loadNotes() {
+  try {
+    const saved = localStorage.getItem('aoh-notes');
+    if (!saved) return;
+
+    state.notes = new Map(
+      Object.entries(JSON.parse(saved))
+        .filter(([, note]) => note && typeof note.text === 'string' && note.text.trim())
+    );
+  } catch (error) {
+    console.warn('Failed to load notes:', error);
+    state.notes = new Map();
+  }
+}
+
+/**
+ * Save notes to localStorage
+ */
+function saveNotes() {
+  try {
+    localStorage.setItem('aoh-notes', JSON.stringify(Object.fromEntries(state.notes)));
+  } catch (error) {
+    console.error('Failed to save notes:', error);
+    showToast('Could not save your notes (browser storage is full or disabled).', 'error', 5000);
+  }
+}
+
+/**
+ * Get an item's note
+ * @param {Object} item - Manifest item
+ * @returns {string} Note text ('' if none)
+ */
+function getNote(item) {
+  const note = state.notes.get(item.id);
+  return note ? note.text : '';
+}
+
+/**
+ * Check whether an item has a note
+ * @param {Object} item - Manifest item
+ * @returns {boolean} True if it has one
+ */
+function hasNote(item) {
+  return state.notes.has(item.id);
+}
+
+/**
+ * Store (or, when empty, remove) an entry's note
+ * @param {string} id - Entry ID
+ * @param {string} text - Note text
+ * @returns {boolean} True if anything changed
+ */
+function setNote(id, text) {
+  const current = state.notes.get(id);
+  if (!text.trim()) {
+    if (!current) return false;
+    state.notes.delete(id);
+  } else {
+    if (current && current.text === text) return false;
+    state.notes.set(id, { text, updated: new Date().toISOString() });
+  }
+
+  state.notesIndex = null;
+  saveNotes();
+  return true;
+}
+
+/**
+ * Render the notes editor at the end of the info panel
+ * Typing saves after a short pause (and when the field loses focus).
+ * @param {Object} item - Manifest item
+ */
+function renderNotesEditor(item) {
+  const section = document.createElement('section');
+  section.className = 'entry-notes';
+  section.setAttribute('aria-label', 'Private notes');
+
+  const heading = document.createElement('h3');
+  const icon = document.createElement('i');
+  icon.className = 'fas fa-sticky-note';
+  icon.setAttribute('aria-hidden', 'true');
+  const privacy = document.createElement('span');
+  privacy.className = 'notes-privacy';
+  privacy.textContent = 'private, saved in this browser only';
+  heading.append(icon, ' Notes ', privacy);
+  section.appendChild(heading);
+
+  const input = document.createElement('textarea');
+  input.className = 'notes-input';
+  input.rows = 4;
+  input.value = getNote(item);
+  input.placeholder = 'Session notes, e.g. “owes the party a favour”';
+  input.setAttribute('aria-label', `Notes on ${item.name}`);
+  section.appendChild(input);
+
+  const actions = document.createElement('div');
+  actions.className = 'notes-actions';
+
+  const status = document.createElement('span');
+  status.className = 'notes-status';
+  status.setAttribute('aria-live', 'polite');
+  actions.appendChild(status);
+
+  let saveTimeout;
+  const save = () => {
+    clearTimeout(saveTimeout);
+    const had = hasNote(item);
+    if (setNote(item.id, input.value)) {
+      status.textContent = input.value.trim() ? 'Saved' : 'Note removed';
+    }
+    if (had !== hasNote(item)) renderItemsGrid(); // show or hide the tile's indicator
+  };
+  input.addEventListener('input', () => {
+    clearTimeout(saveTimeout);
+    status.textContent = '';
+    saveTimeout = setTimeout(save, 500);
+  });
+  input.addEventListener('blur', save);
+
+  const exportButton = document.createElement('button');
+  exportButton.type = 'button';
+  exportButton.className = 'notes-action';
+  exportButton.textContent = 'Export all notes';
+  exportButton.addEventListener('click', () => {
+    save();
+    exportNotes();
+  });
+
+  const file = document.createElement('input');
+  file.type = 'file';
+  file.accept = '.json,application/json';
+  file.hidden = true;
+  file.addEventListener('change', () => {
+    if (file.files[0]) importNotes(file.files[0]);
+  });
+
+  const importButton = document.createElement('button');
+  importButton.type = 'button';
+  importButton.className = 'notes-action';
+  importButton.textContent = 'Import notes';
+  importButton.addEventListener('click', () => file.click());
+
+  actions.append(exportButton, importButton, file);
+  section.appendChild(actions);
+
+  elements.infoPanel.appendChild(section);
+}
+
+/**
+ * Download every note as a JSON file (for backup or another browser)
+ */
+function exportNotes() {
+  if (state.notes.size === 0) {
+    showToast('There are no notes to export yet', 'info', 2000);
+    return;
+  }
+
+  const notes = {};
+  state.notes.forEach((note, id) => {
+    notes[id] = { name: getItemById(id)?.name || null, text: note.text, updated: note.updated };
+  });
+
+  downloadJson({ format: 'aoh-notes', version: NOTES_FILE_VERSION, notes }, 'aoh-notes.json');
+}
+
+/**
+ * Import notes from a file written by exportNotes()
+ * A note replaces the local one unless the local one is newer. Notes on
+ * entries this database lacks are kept (they may be GM-only entries).
+ * @param {File} file - Chosen file
+ */
+async function importNotes(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    data = null;
+  }
+
+  if (!data || data.format !== 'aoh-notes' || !data.notes || typeof data.notes !== 'object') {
+    showToast(`${file.name} is not a notes export`, 'error', 5000);
+    return;
+  }
+  if (data.version > NOTES_FILE_VERSION) {
+    showToast(`${file.name} was exported by a newer version of the site`, 'error', 5000);
+    return;
+  }
+
+  let imported = 0;
+  let kept = 0;
+  Object.entries(data.notes).forEach(([id, note]) => {
+    if (!note || typeof note.text !== 'string' || !note.text.trim()) return;
+
+    const local = state.notes.get(id);
+    if (local && local.text !== note.text && (local.updated || '') > (note.updated || '')) {
+      kept++;
+      return;
+    }
+    state.notes.set(id, { text: note.text, updated: note.updated || new Date().toISOString() });
+    imported++;
+  });
+
+  state.notesIndex = null;
+  saveNotes();
+  updateUI();
+  showToast(
+    `Imported ${imported} ${imported === 1 ? 'note' : 'notes'}` +
+      (kept > 0 ? ` (${kept} newer local ${kept === 1 ? 'note' : 'notes'} kept)` : ''),
+    'success',
+    4000
+  );
+}
+
+// ===== LANGUAGE =====
+
+/**
+ * Collect available content languages and restore the preferred one
+ * Falls back to the browser language, then CONFIG.defaultLanguage.
+ */
+function loadLanguagePreference() {
+  const languages = new Set();
+  state.manifest.categories.forEach(category => {
+    (category.subcategories || []).forEach(subcategory => {
+      (subcategory.items || []).forEach(item => {
+        (item.languages || []).forEach(lang => languages.add(lang));
+      });
+    });
+  });
+  state.languages = [...languages].sort();
+
+  let saved = null;
+  try {
+    saved = localStorage.getItem('aoh-language');
+  } catch (error) {
+    console.warn('Failed to load language preference:', error);
+  }
+
+  const browser = (navigator.language || '').split('-')[0].toLowerCase();
+  state.language = saved || (state.languages.includes(browser) ? browser : CONFIG.defaultLanguage);
+}
+
+/**
+ * Change the preferred content language and re-render
+ * @param {string} language - Language code
+ */
+function setLanguage(language) {
+  state.language = language;
+
+  try {
+    localStorage.setItem('aoh-language', language);
+  } catch (error) {
+    console.error('Failed to save language preference:', error);
+  }
+
+  renderLanguageSelect();
+  renderInfoPanel();
+  if (state.searchQuery) {
+    searchAllDatabase(state.searchQuery);
+  }
+}
+
+/**
+ * Human-readable name of a language code, in that language ("cs" → "čeština")
+ * @param {string} language - Language code
+ * @returns {string} Language name, or the upper-cased code if unknown
+ */
+function getLanguageName(language) {
+  try {
+    const names = new Intl.DisplayNames([language], { type: 'language' });
+    return names.of(language) || language.toUpperCase();
+  } catch (error) {
+    return language.toUpperCase();
+  }
+}
+
+/**
+ * Get an item's info text in the preferred language
+ * Falls back to the item's main text when no translation exists.
+ * @param {Object} item - Manifest item with details loaded
+ * @returns {{language: string|null, info: string|null, sections: Object, links: Array}} Content to display
+ */
+function getItemContent(item) {
+  const translation = item.translations && item.translations[state.language];
+  if (translation) {
+    return {
+      language: state.language,
+      info: translation.info,
+      sections: translation.sections || {},
+      links: translation.links
+    };
+  }
+  return { language: item.language || null, info: item.info, sections: item.sections || {}, links: item.links };
+}
+
+/**
+ * Fill the language dropdown (hidden unless there is a choice to make)
+ */
+function renderLanguageSelect() {
+  const select = elements.languageSelect;
+  if (!select) return;
+
+  select.hidden = state.languages.length < 2;
+  select.innerHTML = '';
+
+  state.languages.forEach(language => {
+    const option = document.createElement('option');
+    option.value = language;
+    option.textContent = getLanguageName(language);
+    select.appendChild(option);
+  });
+
+  // Keep a preference for a language no entry has yet visible in the list
+  if (state.language && !state.languages.includes(state.language)) {
+    const option = document.createElement('option');
+    option.value = state.language;
+    option.textContent = getLanguageName(state.language);
+    select.prepend(option);
+  }
+
+  select.value = state.language;
+}
+
+/**
+ * Render buttons for the languages one entry is available in
+ * @param {Object} item - Manifest item with details loaded
+ * @param {string|null} shown - Language currently displayed
+ */
+function renderItemLanguages(item, shown) {
+  if (!item.languages || item.languages.length < 2) return;
+
+  const group = document.createElement('div');
+  group.className = 'entry-languages';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Entry language');
+
+  item.languages.forEach(language => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = language.toUpperCase();
+    button.title = getLanguageName(language);
+    button.setAttribute('aria-pressed', language === shown ? 'true' : 'false');
+    button.addEventListener('click', () => setLanguage(language));
+    group.appendChild(button);
+  });
+
+  elements.infoPanel.appendChild(group);
+}
+
+// ===== INITIALIZATION =====
+
+/**
+ * Initialize the application when DOM is ready
+ */
+async function init() {
+  try {
+    // Cache DOM elements
+    elements.categoryList = document.getElementById('category-list');
+    elements.subcategories = document.getElementById('subcategories');
+    elements.itemsGrid = document.getElementById('items-grid');
+    elements.infoPanel = document.getElementById('info-panel');
+    elements.imagePanel = document.getElementById('image-panel');
+    elements.mainContent = document.getElementById('main-content');
+    elements.content = document.getElementById('content');
+    elements.compareView = document.getElementById('compare-view');
+    elements.compareTray = document.getElementById('compare-tray');
+    elements.searchInput = document.getElementById('search-input');
+    elements.searchContainer = document.getElementById('search-container');
+    elements.searchResults = document.getElementById('search-results');
+    elements.shareButton = document.getElementById('share-button');
+    elements.breadcrumb = document.getElementById('breadcrumb');
+    elements.languageSelect = document.getElementById('language-select');
+    elements.printButton = document.getElementById('print-button');
+    elements.printMenu = document.getElementById('print-menu');
+    elements.exportButton = document.getElementById('export-button');
+    elements.exportMenu = document.getElementById('export-menu');
+    elements.rosterButton = document.getElementById('roster-button');
+    elements.rosterPanel = document.getElementById('roster-panel');
+    elements.namesButton = document.getElementById('names-button');
+    elements.namesPanel = document.getElementById('names-panel');
+    elements.offlineButton = document.getElementById('offline-button');
+    elements.printCards = document.getElementById('print-cards');
+    elements.filterBar = document.getElementById('filter-bar');
+    elements.collectionBar = document.getElementById('collection-bar');
+    elements.collectionMenu = document.getElementById('collection-menu');
+
+    // Show loading state
+    showLoading();
+
+    // Load manifest data
+    const response = await fetch(CONFIG.manifestUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load manifest: ${response.statusText}`);
+    }
+    state.manifest = await response.json();
+    
+    // Validate manifest
+    if (!state.manifest || !state.manifest.categories || !Array.isArray(state.manifest.categories)) {
+      throw new Error('Invalid manifest structure');
+    }
+    
+    // The full manifest carries GM secrets; the player build never does
+    state.gmMode = state.manifest.audience === 'gm';
+    renderGmBadge();
+    registerServiceWorker();
+    
+    // Index entries by their stable IDs (used by favorites and routing)
+    buildEntryIndex();
+    
+    // Version image URLs by content hash so replaced images are refetched
+    applyAssetVersions();
+    
+    // Load favorite collections and private notes from localStorage
+    loadCollections();
+    loadNotes();
+
+    // Pick the content language (saved choice, browser language or default)
+    loadLanguagePreference();
+    renderLanguageSelect();
+
+    // Load all thumbnails first (blocking - but they're small and few)
+    if (CONFIG.preloadImages) {
+      await preloadThumbnails();
+    }
+
+    // Parse URL hash for initial state (if routing enabled)
+    if (CONFIG.enableUrlRouting) {
+      parseUrlHash();
+    }
+
+    // Render initial UI immediately - thumbnails are loaded
+    updateUI();
+
+    // Setup event listeners
+    setupEventListeners();
+
+    // Hide loading state - UI is ready with thumbnails
+    hideLoading();
+
+    // Start progressive loading of avatars and images in background (non-blocking)
+    if (CONFIG.preloadImages) {
+      preloadAvatarsAndImagesProgressively().catch(error => {
+        console.warn('Progressive image preload encountered errors:', error);
+      });
+    }
+
+  } catch (error) {
+    console.error('Initialization error:', error);
+    showToast('Failed to load the database. Please refresh the page.', 'error', 0);
+    hideLoading();
+  }
+}
+
+/**
+ * Preload all thumbnails (blocking - but small and few)
+ * @returns {Promise<void>}
+ */
+async function preloadThumbnails() {
+  const thumbnails = [];
+
+  state.manifest.categories.forEach((category) => {
+    if (!category.subcategories || !Array.isArray(category.subcategories)) {
+      return;
+    }
+    
+    category.subcategories.forEach((subcategory) => {
+      if (subcategory.thumbnail) {
+        thumbnails.push(subcategory.thumbnail);
+      }
+    });
+  });
+
+  // Load all thumbnails in parallel (they're small)
+  await Promise.all(thumbnails.map(src => loadImage(src)));
+}
+
+/**
+ * Preload avatars and images progressively - loads one at a time without blocking UI
+ * Priority: 1) Avatars, 2) Full images
+ * @returns {Promise<void>}
+ */
+async function preloadAvatarsAndImagesProgressively() {
+  const avatars = [];
+  const images = [];
+
+  state.manifest.categories.forEach((category) => {
+    if (!category.subcategories || !Array.isArray(category.subcategories)) {
       return;
     }
     
@@ -316,9 +1211,11 @@ async function preloadAvatarsAndImagesProgressively() {
   });
 
   // Also collect images from favorites
-  state.favorites.forEach((fav) => {
-    if (fav.item.avatar) avatars.push(fav.item.avatar);
-    if (fav.item.image) images.push(fav.item.image);
+  state.collections.forEach((collection) => {
+    collection.items.forEach((fav) => {
+      if (fav.item.avatar) avatars.push(fav.item.avatar);
+      if (fav.item.image) images.push(fav.item.image);
+    });
   });
 
   // Load avatars first (for grid items)
@@ -359,17 +1256,155 @@ function loadImage(src) {
   });
 }
 
-// ===== RENDERING FUNCTIONS =====
+// ===== LAZY DETAILS LOADING =====
 
 /**
- * Update all UI components
+ * Check whether an item's details (info text, sections) are loaded
+ * @param {Object} item - Manifest item
+ * @returns {boolean} True if details are available
+ */
+function hasDetails(item) {
+  return 'info' in item;
+}
+
+/**
+ * Load a subcategory's details file and merge it into its items
+ * Each file is fetched once; concurrent callers share the same request.
+ * @param {Object} subcategory - Manifest subcategory with a `details` URL
+ * @returns {Promise<void>}
+ */
+function loadSubcategoryDetails(subcategory) {
+  const url = subcategory.details;
+  if (!url) return Promise.resolve();
+
+  if (!state.detailsCache.has(url)) {
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load details: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        subcategory.items.forEach(item => {
+          Object.assign(item, { info: null, sections: {} }, data.items[item.id]);
+        });
+      })
+      .catch(error => {
+        // Allow a retry on next access
+        state.detailsCache.delete(url);
+        throw error;
+      });
+
+    state.detailsCache.set(url, request);
+  }
+
+  return state.detailsCache.get(url);
+}
+
+/**
+ * Ensure an item's details are loaded
+ * @param {Object} item - Manifest item
+ * @returns {Promise<Object>} The same item, with details merged in
+ */
+async function loadItemDetails(item) {
+  if (hasDetails(item)) return item;
+
+  const location = state.entryIndex.get(item.id);
+  const subcategory = location &&
+    state.manifest.categories[location.categoryIndex].subcategories[location.subcategoryIndex];
+
+  if (subcategory) {
+    await loadSubcategoryDetails(subcategory);
+  }
+  return item;
+}
+
+/**
+ * Fetch one of the generated search files named in the manifest
+ * A cached copy from an older build (hash differs from the manifest's) is
+ * refetched once past the browser cache.
+ * @param {string} url - File URL
+ * @param {string} hash - Expected content hash
+ * @returns {Promise<Object>} Parsed file
+ */
+async function fetchSearchFile(url, hash) {
+  for (const cache of ['default', 'reload']) {
+    const response = await fetch(`${url}?v=${hash}`, { cache });
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    if (data.hash === hash) return data;
+  }
+  throw new Error(`${url} does not match the manifest`);
+}
+
+/**
+ * Load the prebuilt search index and search text (item ID → language →
+ * info text, for snippets and phrases)
+ * Without the index (or with an unsupported format version), entries are
+ * indexed in the browser instead.
+ * @returns {Promise<void>}
+ */
+function loadSearchIndex() {
+  if (!state.searchIndexPromise) {
+    const search = state.manifest.search;
+    if (!search) {
+      console.warn('Manifest lists no search files, searching names only');
+      state.searchIndexPromise = Promise.resolve();
+      return state.searchIndexPromise;
+    }
+
+    const index = fetchSearchFile(search.index, search.hash)
+      .then(data => {
+        state.prebuiltSearch = window.EntrySearch.deserializeIndex(data);
+      })
+      .catch(error => {
+        console.warn('Prebuilt search index unavailable, indexing in the browser:', error);
+      });
+
+    const text = fetchSearchFile(search.text, search.hash)
+      .then(data => {
+        state.searchIndex = new Map(
+          Object.entries(data.items).map(([id, texts]) => [
+            id,
+            Object.fromEntries(
+              Object.entries(texts).map(([lang, text]) => [lang, text.replace(/\s+/g, ' ').trim()])
+            )
+          ])
+        );
+      })
+      .catch(error => {
+        console.warn('Search text unavailable, no snippets or phrase search:', error);
+      });
+
+    state.searchIndexPromise = Promise.all([index, text]).then(() => {
+      state.searchEngine = null; // rebuild from what arrived
+      if (!state.prebuiltSearch && !state.searchIndex) {
+        state.searchIndexPromise = null; // try again on the next search
+      }
+    });
+  }
+
+  return state.searchIndexPromise;
+}
+
+// ===== RENDERING FUNCTIONS =====
+
+/**
+ * Update all UI components
  */
 function updateUI() {
   try {
     renderCategories();
+    renderFilterBar();
+    renderCollectionBar();
     renderItemsGrid();
     renderInfoPanel();
     renderImagePanel();
+    renderCompareView();
+    renderCompareTray();
 
     // Update URL hash if routing enabled
     if (CONFIG.enableUrlRouting) {
@@ -406,43 +1441,13 @@ function renderCategories() {
   favButton.addEventListener('click', () => selectCategory(-1));
   elements.categoryList.appendChild(favButton);
   
-  // Add favorites tree if selected
+  // Add collections as expandable groups if selected
   if (state.currentCategory === -1) {
     const tree = document.createElement('div');
     tree.className = 'subcategories-tree show';
     
-    state.favorites.forEach((fav, favIndex) => {
-      const subItem = document.createElement('div');
-      subItem.className = 'subcat-item';
-      subItem.setAttribute('role', 'button');
-      subItem.setAttribute('tabindex', '0');
-      subItem.setAttribute('aria-label', fav.item.name);
-      
-      if (favIndex === state.currentSubcategory) {
-        subItem.classList.add('selected');
-      }
-      
-      // Use avatar instead of thumbnail
-      if (fav.item.avatar && state.imageCache.has(fav.item.avatar)) {
-        const img = state.imageCache.get(fav.item.avatar).cloneNode();
-        img.alt = '';
-        subItem.appendChild(img);
-      }
-      
-      // Add item name
-      const span = document.createElement('span');
-      span.textContent = fav.item.name;
-      subItem.appendChild(span);
-      
-      subItem.addEventListener('click', () => selectFavorite(favIndex));
-      subItem.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          selectFavorite(favIndex);
-        }
-      });
-      
-      tree.appendChild(subItem);
+    state.collections.forEach((collection, collectionIndex) => {
+      tree.appendChild(createCollectionGroup(collection, collectionIndex));
     });
     
     elements.categoryList.appendChild(tree);
@@ -453,7 +1458,7 @@ function renderCategories() {
     // Create category button
     const button = document.createElement('button');
     button.className = 'category';
-    button.textContent = category.name;
+    button.textContent = getDisplayName(category);
     button.setAttribute('role', 'tab');
     button.setAttribute('aria-selected', catIndex === state.currentCategory ? 'true' : 'false');
     button.setAttribute('tabindex', catIndex === state.currentCategory ? '0' : '-1');
@@ -480,7 +1485,7 @@ function renderCategories() {
           subItem.className = 'subcat-item';
           subItem.setAttribute('role', 'button');
           subItem.setAttribute('tabindex', '0');
-          subItem.setAttribute('aria-label', subcategory.name);
+          subItem.setAttribute('aria-label', getDisplayName(subcategory));
 
           if (subIndex === state.currentSubcategory) {
             subItem.classList.add('selected');
@@ -495,7 +1500,7 @@ function renderCategories() {
 
           // Add subcategory name
           const span = document.createElement('span');
-          span.textContent = subcategory.name;
+          span.textContent = getDisplayName(subcategory);
           subItem.appendChild(span);
 
           subItem.addEventListener('click', () => selectSubcategory(subIndex));
@@ -518,35 +1523,109 @@ function renderCategories() {
   renderSubcategories();
 }
 
+/**
+ * Build a collection's group for the sidebar: a header that opens the
+ * collection (and folds it), then its entries while unfolded
+ * @param {Object} collection - Collection
+ * @param {number} collectionIndex - Index in state.collections
+ * @returns {HTMLElement}
+ */
+function createCollectionGroup(collection, collectionIndex) {
+  const group = document.createElement('div');
+  group.className = 'collection-group';
+  
+  const expanded = state.expandedCollections.has(collection.id);
+  const header = document.createElement('div');
+  header.className = 'subcat-item collection-header';
+  header.setAttribute('role', 'button');
+  header.setAttribute('tabindex', '0');
+  header.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  
+  if (collectionIndex === state.currentSubcategory) {
+    header.classList.add('selected');
+  }
+  
+  const icon = document.createElement('i');
+  icon.className = `fas fa-chevron-${expanded ? 'down' : 'right'}`;
+  icon.setAttribute('aria-hidden', 'true');
+  
+  const name = document.createElement('span');
+  name.textContent = collection.name;
+  
+  const count = document.createElement('span');
+  count.className = 'collection-count';
+  count.textContent = collection.items.length;
+  
+  header.append(icon, name, count);
+  header.addEventListener('click', () => selectCollection(collectionIndex));
+  header.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      selectCollection(collectionIndex);
+    }
+  });
+  group.appendChild(header);
+  
+  if (!expanded) return group;
+  
+  collection.items.forEach((fav, itemIndex) => {
+    const subItem = document.createElement('div');
+    subItem.className = 'subcat-item collection-entry';
+    subItem.setAttribute('role', 'button');
+    subItem.setAttribute('tabindex', '0');
+    subItem.setAttribute('aria-label', fav.item.name);
+    
+    if (collectionIndex === state.currentSubcategory && itemIndex === state.currentItem) {
+      subItem.classList.add('selected');
+    }
+    
+    // Use avatar instead of thumbnail
+    if (fav.item.avatar && state.imageCache.has(fav.item.avatar)) {
+      const img = state.imageCache.get(fav.item.avatar).cloneNode();
+      img.alt = '';
+      subItem.appendChild(img);
+    }
+    
+    // Add item name
+    const span = document.createElement('span');
+    span.textContent = fav.item.name;
+    subItem.appendChild(span);
+    
+    subItem.addEventListener('click', () => selectFavorite(collectionIndex, itemIndex));
+    subItem.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectFavorite(collectionIndex, itemIndex);
+      }
+    });
+    
+    group.appendChild(subItem);
+  });
+  
+  return group;
+}
+
 /**
  * Render subcategory navigation bar (for mobile view)
  */
 function renderSubcategories() {
   elements.subcategories.innerHTML = '';
   
-  // Handle Favorites category
+  // Handle Favorites category: one tab per collection
   if (state.currentCategory === -1) {
-    state.favorites.forEach((fav, favIndex) => {
+    state.collections.forEach((collection, collectionIndex) => {
       const button = document.createElement('button');
       button.className = 'subcat';
-      button.textContent = fav.item.name;
+      button.textContent = `${collection.name} (${collection.items.length})`;
       button.setAttribute('role', 'tab');
-      button.setAttribute('aria-selected', favIndex === state.currentSubcategory ? 'true' : 'false');
+      button.setAttribute('aria-selected', collectionIndex === state.currentSubcategory ? 'true' : 'false');
       button.setAttribute('tabindex', '0');
       
-      if (favIndex === state.currentSubcategory) {
+      if (collectionIndex === state.currentSubcategory) {
         button.classList.add('selected');
       }
       
-      // Add avatar if available
-      if (fav.item.avatar && state.imageCache.has(fav.item.avatar)) {
-        const img = state.imageCache.get(fav.item.avatar).cloneNode();
-        img.alt = '';
-        img.className = 'subcat-icon';
-        button.insertBefore(img, button.firstChild);
-      }
-      
-      button.addEventListener('click', () => selectFavorite(favIndex));
+      button.addEventListener('click', () => selectCollection(collectionIndex));
       
       elements.subcategories.appendChild(button);
     });
@@ -561,7 +1640,7 @@ function renderSubcategories() {
   category.subcategories.forEach((subcategory, subIndex) => {
     const button = document.createElement('button');
     button.className = 'subcat';
-    button.textContent = subcategory.name;
+    button.textContent = getDisplayName(subcategory);
     button.setAttribute('role', 'tab');
     button.setAttribute('aria-selected', subIndex === state.currentSubcategory ? 'true' : 'false');
     button.setAttribute('tabindex', '0');
@@ -593,7 +1672,9 @@ function renderItemsGrid() {
   const items = getCurrentItems();
 
   if (items.length === 0) {
-    showEmptyState(elements.itemsGrid, state.currentCategory === -1 ? 'No favorite items yet. Pin items to see them here!' : 'No items found in this category.');
+    showEmptyState(elements.itemsGrid, state.currentCategory === -1 ?
+      (getCurrentCollection() ? 'This collection is empty. Pin items to add them.' : 'No favorite items yet. Pin items to see them here!') :
+      isFilteredView() ? 'No entries match the filters.' : 'No items found in this category.');
     return;
   }
 
@@ -604,6 +1685,11 @@ function renderItemsGrid() {
     element.setAttribute('tabindex', '0');
     element.setAttribute('aria-label', `View ${item.name}`);
 
+    if (isGmOnly(item)) {
+      element.classList.add('secret');
+      element.title = 'GM only – not in the player build';
+    }
+
     if (index === state.currentItem) {
       element.classList.add('selected');
       element.setAttribute('aria-pressed', 'true');
@@ -620,6 +1706,7 @@ function renderItemsGrid() {
         // Image already loaded
         const img = state.imageCache.get(item.avatar).cloneNode();
         img.alt = `${item.name} avatar`;
+        setImageDimensions(img, item.avatarMeta);
         imgContainer.appendChild(img);
       } else {
         // Show loading placeholder, load image in background
@@ -636,6 +1723,7 @@ function renderItemsGrid() {
             placeholder.textContent = '';
             const img = loadedImg.cloneNode();
             img.alt = `${item.name} avatar`;
+            setImageDimensions(img, item.avatarMeta);
             imgContainer.appendChild(img);
             // Fade in effect
             setTimeout(() => {
@@ -660,23 +1748,24 @@ function renderItemsGrid() {
     }
 
     // Add pin button (show in all categories including Favorites)
+    const collection = getCurrentCollection();
     let isPinned;
-    if (state.currentCategory === -1) {
-      // In Favorites, all items are pinned by definition
+    let pinLabel;
+    if (collection) {
+      // In a collection, all items are pinned by definition
       isPinned = true;
+      pinLabel = `Remove from ${collection.name}`;
     } else {
-      // In other categories, check if item exists in favorites
-      isPinned = state.favorites.some(fav =>
-        fav.categoryIndex === state.currentCategory &&
-        fav.subcategoryIndex === state.currentSubcategory &&
-        fav.itemIndex === index
-      );
+      // In other categories, check if item exists in any collection
+      isPinned = isFavorite(item);
+      pinLabel = state.collections.length > 1 ? 'Pin to collections…' :
+        isPinned ? 'Remove from favorites' : 'Add to favorites';
     }
     
     const pinButton = document.createElement('button');
     pinButton.className = isPinned ? 'pin-icon pinned' : 'pin-icon';
-    pinButton.setAttribute('aria-label', isPinned ? 'Unpin from favorites' : 'Pin to favorites');
-    pinButton.title = isPinned ? 'Remove from favorites' : 'Add to favorites';
+    pinButton.setAttribute('aria-label', pinLabel);
+    pinButton.title = pinLabel;
     
     const icon = document.createElement('i');
     icon.className = 'fas fa-thumbtack';
@@ -684,10 +1773,28 @@ function renderItemsGrid() {
     
     pinButton.addEventListener('click', (e) => {
       e.stopPropagation(); // Prevent item selection when clicking pin
-      togglePinByIndex(index);
+      togglePinByIndex(index, pinButton);
     });
     
     element.appendChild(pinButton);
+    element.appendChild(createCompareButton(item, 'compare-icon'));
+    
+    if (collection) {
+      makeReorderable(element, index);
+    }
+
+    // Mark entries with private notes
+    if (hasNote(item)) {
+      const noteIcon = document.createElement('span');
+      noteIcon.className = 'note-indicator';
+      noteIcon.setAttribute('role', 'img');
+      noteIcon.setAttribute('aria-label', 'Has notes');
+      noteIcon.title = 'Has notes';
+      const i = document.createElement('i');
+      i.className = 'fas fa-sticky-note';
+      noteIcon.appendChild(i);
+      element.appendChild(noteIcon);
+    }
 
     // Add item name
     const nameDiv = document.createElement('div');
@@ -723,16 +1830,143 @@ function renderInfoPanel() {
   // Add character name as heading
   const heading = document.createElement('h2');
   heading.textContent = item.name;
+  if (isGmOnly(item)) {
+    heading.appendChild(createSecretLabel('GM only'));
+  }
   elements.infoPanel.appendChild(heading);
 
-  // Add character info
-  if (item.info) {
-    const paragraph = document.createElement('p');
-    paragraph.textContent = item.info;
-    elements.infoPanel.appendChild(paragraph);
+  // Aliases, tags and fields are part of the index, so render them right away
+  renderItemMeta(item);
+
+  // Fetch details on first view, then re-render if still selected
+  if (!hasDetails(item)) {
+    const loadingDiv = document.createElement('div');
+    loadingDiv.className = 'image-loading';
+    loadingDiv.innerHTML = '<div class="spinner">⏳</div><p>Loading details...</p>';
+    elements.infoPanel.appendChild(loadingDiv);
+
+    loadItemDetails(item)
+      .then(() => {
+        if (getCurrentItem() === item) renderInfoPanel();
+      })
+      .catch(error => {
+        console.error('Failed to load item details:', error);
+        if (getCurrentItem() === item) {
+          loadingDiv.remove();
+          showEmptyState(elements.infoPanel, 'Failed to load details. Please try again.');
+        }
+      });
+    return;
+  }
+
+  // Add character info, in the preferred language when available
+  const content = getItemContent(item);
+  renderItemLanguages(item, content.language);
+
+  if (content.info) {
+    // Character sections become a stat block; the rest is shown as text
+    let info = content.info;
+    const statBlock = createStatBlock(content);
+    if (statBlock) {
+      if (content.language) statBlock.lang = content.language;
+      elements.infoPanel.appendChild(statBlock);
+      info = omitSections(info, Object.values(STAT_BLOCK_SECTIONS).flat());
+    }
+
+    if (info.trim()) {
+      const text = document.createElement('div');
+      text.className = 'info-text';
+      if (content.language) text.lang = content.language;
+      appendInfoText(text, info, { links: content.links, attachments: item.attachments });
+      elements.infoPanel.appendChild(text);
+    }
   } else {
     showEmptyState(elements.infoPanel, 'No information available for this character.');
   }
+
+  renderBacklinks(item);
+  renderNotesEditor(item);
+}
+
+/**
+ * Render an item's aliases, tag chips and free-form fields (from meta.json)
+ * @param {Object} item - Manifest item
+ */
+function renderItemMeta(item) {
+  if (item.aliases && item.aliases.length > 0) {
+    const aliases = document.createElement('p');
+    aliases.className = 'entry-aliases';
+    aliases.textContent = `Also known as: ${item.aliases.join(', ')}`;
+    elements.infoPanel.appendChild(aliases);
+  }
+
+  if (item.tags && item.tags.length > 0) {
+    const tags = document.createElement('ul');
+    tags.className = 'tag-chips';
+    tags.setAttribute('aria-label', 'Tags');
+    item.tags.forEach(tag => {
+      const chip = document.createElement('li');
+      chip.className = 'tag-chip';
+      chip.textContent = tag;
+      tags.appendChild(chip);
+    });
+    elements.infoPanel.appendChild(tags);
+  }
+
+  const fields = Object.entries(item.fields || {});
+  if (fields.length > 0) {
+    const list = document.createElement('dl');
+    list.className = 'entry-fields';
+    fields.forEach(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = formatFieldName(key);
+      const detail = document.createElement('dd');
+      detail.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+      list.appendChild(term);
+      list.appendChild(detail);
+    });
+    elements.infoPanel.appendChild(list);
+  }
+}
+
+/**
+ * Turn a meta.json key into a label ("placeOfOrigin" → "Place of origin")
+ * @param {string} key - Field key
+ * @returns {string} Label
+ */
+function formatFieldName(key) {
+  const words = key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Render the "Referenced by" list of entries that mention this item
+ * @param {Object} item - Manifest item with details loaded
+ */
+function renderBacklinks(item) {
+  const referrers = (item.backlinks || []).map(getItemById).filter(Boolean);
+  if (referrers.length === 0) return;
+
+  const section = document.createElement('section');
+  section.className = 'backlinks';
+  section.setAttribute('aria-label', 'Referenced by');
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Referenced by';
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  referrers.forEach(referrer => {
+    const li = document.createElement('li');
+    li.appendChild(createEntryLink(referrer.id, referrer.name));
+    list.appendChild(li);
+  });
+  section.appendChild(list);
+
+  elements.infoPanel.appendChild(section);
 }
 
 /**
@@ -751,12 +1985,19 @@ function renderImagePanel() {
   if (state.imageCache.has(item.image)) {
     const img = state.imageCache.get(item.image).cloneNode();
     img.alt = `${item.name} full image`;
+    setImageDimensions(img, item.imageMeta);
     elements.imagePanel.appendChild(img);
   } else {
     // Show loading state while image loads
     const loadingDiv = document.createElement('div');
     loadingDiv.className = 'image-loading';
     loadingDiv.innerHTML = '<div class="spinner">⏳</div><p>Loading image...</p>';
+    
+    // Reserve the image's final box to avoid layout shift
+    if (item.imageMeta && item.imageMeta.width && item.imageMeta.height) {
+      loadingDiv.classList.add('sized');
+      loadingDiv.style.aspectRatio = `${item.imageMeta.width} / ${item.imageMeta.height}`;
+    }
     elements.imagePanel.appendChild(loadingDiv);
     
     // Load image asynchronously
@@ -766,6 +2007,7 @@ function renderImagePanel() {
         elements.imagePanel.innerHTML = '';
         const img = loadedImg.cloneNode();
         img.alt = `${item.name} full image`;
+        setImageDimensions(img, item.imageMeta);
         elements.imagePanel.appendChild(img);
       } else if (getCurrentItem() === item) {
         elements.imagePanel.innerHTML = '';
@@ -775,138 +2017,664 @@ function renderImagePanel() {
   }
 }
 
-// ===== SELECTION HANDLERS =====
+// ===== GM SECRETS =====
 
 /**
- * Select a category
- * @param {number} index - Category index
+ * Check whether an entry is hidden from players entirely (meta.json `gmOnly`)
+ * @param {Object} item - Manifest item
+ * @returns {boolean} True for GM-only entries
  */
-function selectCategory(index) {
-  if (index === state.currentCategory) return;
-
-  state.currentCategory = index;
-  
-  // Handle Favorites category
-  if (index === -1) {
-    state.currentSubcategory = state.favorites.length > 0 ? 0 : -1;
-    state.currentItem = state.favorites.length > 0 ? 0 : -1;
-    updateUI();
-    return;
-  }
-  
-  // Reset subcategory and item - but check if subcategories exist
-  const category = state.manifest.categories[index];
-  if (category && category.subcategories && category.subcategories.length > 0) {
-    state.currentSubcategory = 0;
-    state.currentItem = 0;
-  } else {
-    // No subcategories - reset to -1 to indicate none selected
-    state.currentSubcategory = -1;
-    state.currentItem = -1;
-  }
-
-  updateUI();
+function isGmOnly(item) {
+  return Boolean(item.flags && item.flags.gmOnly);
 }
 
 /**
- * Select a subcategory
- * @param {number} index - Subcategory index
+ * Split info text into secret and public runs, removing `[GM]` markup
+ * Mirrors markSecretLines() in scripts/lib/info-parser.js; consecutive lines
+ * with the same visibility are joined.
+ * @param {string} text - Info text
+ * @returns {Array<{text: string, secret: boolean}>} Runs in order
  */
-function selectSubcategory(index) {
-  if (index === state.currentSubcategory) return;
+function splitSecretRuns(text) {
+  const runs = [];
+  let inBlock = false;
+  let inSection = false;
 
-  state.currentSubcategory = index;
-  
-  // Check if subcategory has items
-  const category = state.manifest.categories[state.currentCategory];
-  const subcategory = category?.subcategories?.[index];
-  if (subcategory?.items && subcategory.items.length > 0) {
-    state.currentItem = 0;
-  } else {
-    state.currentItem = -1; // No items available
-  }
+  text.split(/\r?\n/).forEach(rawLine => {
+    if (/^\s*\[GM\]\s*$/i.test(rawLine)) { inBlock = true; return; }
+    if (/^\s*\[\/GM\]\s*$/i.test(rawLine)) { inBlock = false; return; }
 
-  updateUI();
+    const marked = /^\s*\[GM\]/i.test(rawLine);
+    const line = rawLine.replace(/^\s*\[GM\][ \t]*/i, '');
+    const trimmed = line.trim();
+
+    // A heading starts a new section, secret only if the heading is marked
+    if (trimmed && ['heading', 'field'].includes(window.InfoMarkup.classifyLine(trimmed).kind)) {
+      inSection = marked;
+    }
+
+    const secret = inBlock || inSection || marked;
+    const last = runs[runs.length - 1];
+    if (last && last.secret === secret) {
+      last.text += '\n' + line;
+    } else {
+      if (last) last.text += '\n';
+      runs.push({ text: line, secret });
+    }
+  });
+
+  return runs;
 }
 
 /**
- * Select an item
- * @param {number} index - Item index
+ * Append formatted info text, wrapping GM secrets in a highlighted element
+ * @param {HTMLElement} container - Target element
+ * @param {string} info - Raw info text (link, secret and Markdown markup included)
+ * @param {Object} context - `{ links, attachments }` of the item, see renderInlineNodes()
  */
-function selectItem(index) {
-  if (index === state.currentItem) return;
-
-  state.currentItem = index;
+function appendInfoText(container, info, context) {
+  splitSecretRuns(stripLinkMarkup(info)).forEach(run => {
+    if (!run.text.trim()) return;
+    if (!run.secret) {
+      renderInfoBlocks(container, window.InfoMarkup.parseBlocks(run.text), context);
+      return;
+    }
 
-  updateUI();
+    const secret = document.createElement('div');
+    secret.className = 'secret';
+    secret.title = 'GM secret – not in the player build';
+    renderInfoBlocks(secret, window.InfoMarkup.parseBlocks(run.text), context);
+    container.appendChild(secret);
+  });
 }
 
-// ===== HELPER FUNCTIONS =====
-
 /**
- * Get current subcategory items
- * @returns {Array} Current items array
+ * Create the small "GM" label used on secret content
+ * @param {string} text - Label text
+ * @returns {HTMLSpanElement}
  */
-function getCurrentItems() {
-  // Handle Favorites category
-  if (state.currentCategory === -1) {
-    return state.favorites.map(fav => fav.item);
-  }
-  
-  const category = state.manifest.categories[state.currentCategory];
-  if (!category || !category.subcategories || !Array.isArray(category.subcategories)) {
-    return [];
-  }
-  
-  // Handle case where no subcategory is selected
-  if (state.currentSubcategory < 0 || state.currentSubcategory >= category.subcategories.length) {
-    return [];
-  }
-  
-  const subcategory = category.subcategories[state.currentSubcategory];
-  if (!subcategory || !subcategory.items || !Array.isArray(subcategory.items)) {
-    return [];
-  }
-  
-  return subcategory.items;
+function createSecretLabel(text) {
+  const label = document.createElement('span');
+  label.className = 'secret-label';
+  label.textContent = text;
+  return label;
 }
 
 /**
- * Get current item
- * @returns {Object|null} Current item object
+ * Show a badge next to the search box while the GM manifest is loaded
  */
-function getCurrentItem() {
-  const items = getCurrentItems();
-  return items[state.currentItem] || null;
+function renderGmBadge() {
+  if (!state.gmMode || !elements.searchContainer) return;
+
+  const badge = createSecretLabel('GM');
+  badge.classList.add('gm-badge');
+  badge.title = 'GM view: secrets are shown and highlighted. Players get the build from npm run build:player.';
+  elements.searchContainer.insertBefore(badge, elements.searchResults);
 }
 
+// ===== INFO TEXT FORMATTING =====
+// Blocks and inline nodes come from js/markup.js; everything is built with
+// createElement/textContent, so info files can never inject HTML.
+
 /**
- * Show loading state
+ * Render parsed blocks
+ * @param {HTMLElement} container - Target element
+ * @param {Array<Object>} blocks - Result of InfoMarkup.parseBlocks()
+ * @param {Object} context - Item links and attachments
  */
-function showLoading() {
-  state.isLoading = true;
-  document.body.classList.add('loading');
-  
-  // Could add a loading spinner to main content
-  if (elements.mainContent) {
-    const loader = document.createElement('div');
-    loader.className = 'loading';
-    loader.innerHTML = '<div class="spinner" role="status" aria-label="Loading"></div>';
-    elements.mainContent.appendChild(loader);
-  }
+function renderInfoBlocks(container, blocks, context) {
+  blocks.forEach(block => {
+    let element;
+
+    if (block.type === 'heading') {
+      // h2 is the entry name, so "# Title" starts at h3
+      element = document.createElement(`h${Math.min(block.level + 2, 6)}`);
+      renderInlineNodes(element, block.children, context);
+    } else if (block.type === 'field') {
+      element = document.createElement('p');
+      element.className = 'info-field';
+      const label = document.createElement('strong');
+      label.textContent = `${block.label}:`;
+      element.append(label, ' ');
+      renderInlineNodes(element, block.children, context);
+    } else if (block.type === 'list') {
+      element = document.createElement(block.ordered ? 'ol' : 'ul');
+      block.items.forEach(entry => {
+        const li = document.createElement('li');
+        if (entry.marker === '+') li.className = 'strength';
+        if (entry.marker === '-') li.className = 'weakness';
+        renderInlineNodes(li, entry.children, context);
+        element.appendChild(li);
+      });
+    } else if (block.type === 'quote') {
+      element = document.createElement('blockquote');
+      block.paragraphs.forEach(lines => element.appendChild(createParagraph(lines, context)));
+    } else {
+      element = createParagraph(block.lines, context);
+    }
+
+    container.appendChild(element);
+  });
 }
 
 /**
- * Hide loading state
+ * Create a paragraph keeping its line breaks
+ * @param {Array<Array<Object>>} lines - Inline nodes per line
+ * @param {Object} context - Item links and attachments
+ * @returns {HTMLParagraphElement}
  */
-function hideLoading() {
-  state.isLoading = false;
-  document.body.classList.remove('loading');
-  
-  const loader = document.querySelector('.loading');
-  if (loader) {
-    loader.remove();
-  }
+function createParagraph(lines, context) {
+  const paragraph = document.createElement('p');
+  lines.forEach((nodes, index) => {
+    if (index > 0) paragraph.appendChild(document.createElement('br'));
+    renderInlineNodes(paragraph, nodes, context);
+  });
+  return paragraph;
+}
+
+/**
+ * Render inline nodes (text, bold, italic, links, images)
+ * @param {HTMLElement} container - Target element
+ * @param {Array<Object>} nodes - Result of InfoMarkup.parseInline()
+ * @param {Object} context
+ * @param {Array} [context.links] - Links from the manifest; plain text
+ *   mentioning other entries is linked (not inside explicit links)
+ * @param {string[]} [context.attachments] - Paths of embedded images
+ */
+function renderInlineNodes(container, nodes, context) {
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      appendLinkedText(container, node.text, context.links);
+    } else if (node.type === 'strong' || node.type === 'em') {
+      const element = document.createElement(node.type);
+      renderInlineNodes(element, node.children, context);
+      container.appendChild(element);
+    } else if (node.type === 'link') {
+      const link = node.kind === 'entry' ? createEntryLink(node.href, '') : document.createElement('a');
+      if (node.kind === 'external') {
+        link.className = 'external-link';
+        link.href = node.href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      renderInlineNodes(link, node.children, { ...context, links: null });
+      container.appendChild(link);
+    } else if (node.type === 'image') {
+      const src = (context.attachments || []).find(path => path.endsWith(`/${node.src}`));
+      if (!src) {
+        container.appendChild(document.createTextNode(node.alt));
+        return;
+      }
+      const img = document.createElement('img');
+      img.className = 'info-image';
+      img.src = src;
+      img.alt = node.alt;
+      img.loading = 'lazy';
+      container.appendChild(img);
+    }
+  });
+}
+
+// ===== STAT BLOCK =====
+
+// Sections shown in the character stat block, with their Czech equivalents
+const STAT_BLOCK_SECTIONS = {
+  origin: ['Place of Origin', 'Město'],
+  role: ['Role'],
+  year: ['Ročník'],
+  magic: ['Magic', 'Magie'],
+  strengths: ['Strengths', 'Silné stránky'],
+  weaknesses: ['Weaknesses'],
+  family: ['Family']
+};
+
+/**
+ * Collect the entries of one stat block section
+ * @param {Object} sections - Parsed sections of the shown language
+ * @param {string} key - Key of STAT_BLOCK_SECTIONS
+ * @returns {{label: string, entries: Array<Object>}|null} Heading as written
+ *   and entries, or null if the section is missing
+ */
+function getStatSection(sections, key) {
+  const headings = STAT_BLOCK_SECTIONS[key].filter(heading => (sections[heading] || []).length > 0);
+  if (headings.length === 0) return null;
+  return { label: headings[0], entries: headings.flatMap(heading => sections[heading]) };
+}
+
+/**
+ * Build the stat block of a character entry
+ * @param {Object} content - Result of getItemContent()
+ * @returns {HTMLElement|null} Stat block, or null for entries without
+ *   Magic, Strengths or Weaknesses
+ */
+function createStatBlock(content) {
+  const section = key => getStatSection(content.sections, key);
+  if (!['magic', 'strengths', 'weaknesses'].some(section)) return null;
+
+  const block = document.createElement('section');
+  block.className = 'stat-block';
+  block.setAttribute('aria-label', 'Character stats');
+
+  // Origin · role · year
+  const header = document.createElement('p');
+  header.className = 'stat-header';
+  ['origin', 'role', 'year'].map(section).filter(Boolean).forEach(({ label, entries }) => {
+    entries.forEach(entry => {
+      if (header.childNodes.length > 0) header.append(' · ');
+      const part = document.createElement('span');
+      part.title = label;
+      if (entry.secret) part.className = 'secret';
+      appendLinkedText(part, STAT_BLOCK_SECTIONS.year.includes(label) ? `${label} ${entry.text}` : entry.text, content.links);
+      header.appendChild(part);
+    });
+  });
+  if (header.childNodes.length > 0) block.appendChild(header);
+
+  const magic = section('magic');
+  if (magic) block.appendChild(createStatRow(magic, 'magic-badges', createMagicBadge));
+
+  [['strengths', '+'], ['weaknesses', '-']].forEach(([key, polarity]) => {
+    const stats = section(key);
+    if (!stats) return;
+    block.appendChild(createStatRow(stats, 'stat-chips', entry => {
+      const chip = document.createElement('li');
+      chip.className = `stat-chip ${(entry.polarity || polarity) === '+' ? 'strength' : 'weakness'}`;
+      chip.textContent = entry.text;
+      return chip;
+    }));
+  });
+
+  const family = section('family');
+  if (family) {
+    block.appendChild(createStatRow(family, 'family-list', entry => {
+      const li = document.createElement('li');
+      appendLinkedText(li, entry.text, content.links);
+      return li;
+    }));
+  }
+
+  return block;
+}
+
+/**
+ * Create a labelled row of the stat block
+ * @param {{label: string, entries: Array<Object>}} stats - Section
+ * @param {string} listClass - Class of the list
+ * @param {function(Object): HTMLLIElement} createEntry - Renders one entry
+ * @returns {HTMLDivElement}
+ */
+function createStatRow({ label, entries }, listClass, createEntry) {
+  const row = document.createElement('div');
+  row.className = 'stat-row';
+
+  const title = document.createElement('h3');
+  title.className = 'stat-label';
+  title.textContent = label;
+  row.appendChild(title);
+
+  const list = document.createElement('ul');
+  list.className = listClass;
+  entries.forEach(entry => {
+    const li = createEntry(entry);
+    if (entry.secret) li.classList.add('secret');
+    list.appendChild(li);
+  });
+  row.appendChild(list);
+
+  return row;
+}
+
+/**
+ * Create a magic school badge; "Energy (Zeus)" shows the patron separately
+ * @param {Object} entry - Section entry
+ * @returns {HTMLLIElement}
+ */
+function createMagicBadge(entry) {
+  const [, school, patron] = entry.text.match(/^(.*?)\s*(?:\((.+)\))?$/);
+
+  const badge = document.createElement('li');
+  badge.className = `magic-badge magic-${school.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+  const name = document.createElement('span');
+  name.className = 'magic-school';
+  name.textContent = school;
+  badge.appendChild(name);
+
+  if (patron) {
+    const by = document.createElement('span');
+    by.className = 'magic-patron';
+    by.textContent = patron;
+    badge.appendChild(by);
+  }
+
+  return badge;
+}
+
+/**
+ * Remove sections from raw info text, keeping `[GM]` block markers
+ * @param {string} info - Raw info text
+ * @param {string[]} headings - Headings to remove
+ * @returns {string} Remaining text
+ */
+function omitSections(info, headings) {
+  let skipping = false;
+
+  return info.split(/\r?\n/).filter(rawLine => {
+    if (/^\s*\[\/?GM\]\s*$/i.test(rawLine)) return true;
+
+    const trimmed = rawLine.replace(/^\s*\[GM\][ \t]*/i, '').trim();
+    if (trimmed) {
+      const line = window.InfoMarkup.classifyLine(trimmed);
+      if (line.kind === 'heading') skipping = headings.includes(window.InfoMarkup.stripInline(stripLinkMarkup(line.text)).trim());
+      if (line.kind === 'field') skipping = headings.includes(line.label);
+    }
+    return !skipping;
+  }).join('\n');
+}
+
+// ===== CROSS-REFERENCES =====
+
+/**
+ * Replace `[[target|label]]` link markup with its label
+ * Mirrors stripLinkMarkup() in scripts/lib/info-parser.js.
+ * @param {string} text - Raw info text
+ * @returns {string} Plain text
+ */
+function stripLinkMarkup(text) {
+  return text.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, target, label) =>
+    (label || target.split('/').pop()).trim()
+  );
+}
+
+/**
+ * Create a link that navigates to an entry via its ID route
+ * @param {string} id - Entry ID
+ * @param {string} text - Link text
+ * @returns {HTMLAnchorElement}
+ */
+function createEntryLink(id, text) {
+  const link = document.createElement('a');
+  link.className = 'entry-link';
+  link.href = `#/${id}`;
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * Append text to a container, turning mentions of other entries into links
+ * Ambiguous mentions are followed by one small link per candidate, labelled
+ * with the candidate's subcategory.
+ * @param {HTMLElement} container - Target element
+ * @param {string} text - Plain text (link markup already stripped)
+ * @param {Array<{text: string, ids: string[]}>} [links] - Item's links from the manifest
+ */
+function appendLinkedText(container, text, links) {
+  const usable = (links || []).filter(link => link.ids.length > 0);
+  if (usable.length === 0) {
+    container.appendChild(document.createTextNode(text));
+    return;
+  }
+
+  const byText = new Map(usable.map(link => [link.text, link]));
+  const pattern = usable
+    .map(link => link.text)
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`, 'gu');
+
+  let last = 0;
+  for (const match of text.matchAll(re)) {
+    container.appendChild(document.createTextNode(text.slice(last, match.index)));
+    last = match.index + match[0].length;
+
+    const link = byText.get(match[0]);
+    if (link.ids.length === 1) {
+      container.appendChild(createEntryLink(link.ids[0], match[0]));
+      continue;
+    }
+
+    const wrapper = document.createElement('span');
+    wrapper.className = 'entry-link-ambiguous';
+    wrapper.appendChild(document.createTextNode(match[0]));
+    link.ids.forEach(id => {
+      const location = state.entryIndex.get(id);
+      if (!location) return;
+      const subcategory = state.manifest.categories[location.categoryIndex]
+        .subcategories[location.subcategoryIndex];
+      const choice = createEntryLink(id, getDisplayName(subcategory));
+      choice.classList.add('entry-link-choice');
+      choice.title = `${match[0]} (${getDisplayName(subcategory)})`;
+      wrapper.appendChild(choice);
+    });
+    container.appendChild(wrapper);
+  }
+  container.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// ===== SELECTION HANDLERS =====
+
+/**
+ * Select a category
+ * @param {number} index - Category index
+ */
+function selectCategory(index) {
+  if (index === state.currentCategory) return;
+
+  state.currentCategory = index;
+  state.filterScope = 'subcategory';
+  
+  // Handle Favorites category: open the first collection
+  if (index === -1) {
+    const collection = state.collections[0];
+    state.currentSubcategory = collection ? 0 : -1;
+    state.currentItem = collection && collection.items.length > 0 ? 0 : -1;
+    if (collection) state.expandedCollections.add(collection.id);
+    updateUI();
+    return;
+  }
+  
+  // Reset subcategory and item - but check if subcategories exist
+  const category = state.manifest.categories[index];
+  if (category && category.subcategories && category.subcategories.length > 0) {
+    state.currentSubcategory = 0;
+    state.currentItem = 0;
+  } else {
+    // No subcategories - reset to -1 to indicate none selected
+    state.currentSubcategory = -1;
+    state.currentItem = -1;
+  }
+
+  updateUI();
+}
+
+/**
+ * Select a subcategory
+ * @param {number} index - Subcategory index
+ */
+function selectSubcategory(index) {
+  if (index === state.currentSubcategory && state.filterScope !== 'all') return;
+
+  state.currentSubcategory = index;
+  state.filterScope = 'subcategory';
+  
+  // Check if subcategory has items
+  const category = state.manifest.categories[state.currentCategory];
+  const subcategory = category?.subcategories?.[index];
+  if (subcategory?.items && subcategory.items.length > 0) {
+    state.currentItem = 0;
+  } else {
+    state.currentItem = -1; // No items available
+  }
+
+  updateUI();
+}
+
+/**
+ * Select an item
+ * @param {number} index - Item index
+ */
+function selectItem(index) {
+  if (index === state.currentItem) return;
+
+  state.currentItem = index;
+
+  updateUI();
+}
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Build the ID → location lookup for categories, subcategories and items
+ * Levels that do not apply (e.g. the item of a subcategory entry) are -1.
+ */
+function buildEntryIndex() {
+  state.entryIndex.clear();
+
+  state.manifest.categories.forEach((category, catIndex) => {
+    if (category.id) {
+      state.entryIndex.set(category.id, { categoryIndex: catIndex, subcategoryIndex: -1, itemIndex: -1 });
+    }
+
+    (category.subcategories || []).forEach((subcategory, subIndex) => {
+      if (subcategory.id) {
+        state.entryIndex.set(subcategory.id, { categoryIndex: catIndex, subcategoryIndex: subIndex, itemIndex: -1 });
+      }
+
+      (subcategory.items || []).forEach((item, itemIndex) => {
+        if (item.id) {
+          state.entryIndex.set(item.id, { categoryIndex: catIndex, subcategoryIndex: subIndex, itemIndex });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Append each image's content hash to its URL (`?v=<hash>`)
+ * Runs once after the manifest loads, so every consumer (grid, favorites,
+ * search, image cache) sees the same versioned URL.
+ */
+function applyAssetVersions() {
+  const versioned = AssetUrls.versionedUrl;
+
+  state.manifest.categories.forEach(category => {
+    (category.subcategories || []).forEach(subcategory => {
+      subcategory.thumbnail = versioned(subcategory.thumbnail, subcategory.thumbnailMeta);
+
+      (subcategory.items || []).forEach(item => {
+        item.avatar = versioned(item.avatar, item.avatarMeta);
+        item.image = versioned(item.image, item.imageMeta);
+      });
+    });
+  });
+}
+
+/**
+ * Set intrinsic width/height attributes so the browser can reserve space
+ * @param {HTMLImageElement} img - Image element
+ * @param {Object|null} meta - Image metadata from the manifest
+ */
+function setImageDimensions(img, meta) {
+  if (meta && meta.width && meta.height) {
+    img.width = meta.width;
+    img.height = meta.height;
+  }
+}
+
+/**
+ * Get the label to show for a category, subcategory or item
+ * Uses the generator's `displayName` (folder name without ordering prefix).
+ * @param {Object} entry - Manifest entry
+ * @returns {string} Display name
+ */
+function getDisplayName(entry) {
+  return entry.displayName || entry.name;
+}
+
+/**
+ * Get a manifest item by its stable ID
+ * @param {string} id - Entry ID, e.g. "characters/male-1st-years/finn-of-sparta"
+ * @returns {Object|null} Manifest item
+ */
+function getItemById(id) {
+  const location = state.entryIndex.get(id);
+  if (!location || location.itemIndex < 0) return null;
+
+  return state.manifest.categories[location.categoryIndex]
+    .subcategories[location.subcategoryIndex]
+    .items[location.itemIndex] || null;
+}
+
+/**
+ * Get current subcategory items
+ * @returns {Array} Current items array
+ */
+function getCurrentItems() {
+  // Handle Favorites category
+  if (state.currentCategory === -1) {
+    const collection = getCurrentCollection();
+    return collection ? collection.items.map(fav => fav.item) : [];
+  }
+
+  if (isFilteredView()) {
+    return getFilteredItems();
+  }
+  
+  const category = state.manifest.categories[state.currentCategory];
+  if (!category || !category.subcategories || !Array.isArray(category.subcategories)) {
+    return [];
+  }
+  
+  // Handle case where no subcategory is selected
+  if (state.currentSubcategory < 0 || state.currentSubcategory >= category.subcategories.length) {
+    return [];
+  }
+  
+  const subcategory = category.subcategories[state.currentSubcategory];
+  if (!subcategory || !subcategory.items || !Array.isArray(subcategory.items)) {
+    return [];
+  }
+  
+  return subcategory.items;
+}
+
+/**
+ * Get current item
+ * @returns {Object|null} Current item object
+ */
+function getCurrentItem() {
+  const items = getCurrentItems();
+  return items[state.currentItem] || null;
+}
+
+/**
+ * Show loading state
+ */
+function showLoading() {
+  state.isLoading = true;
+  document.body.classList.add('loading');
+  
+  // Could add a loading spinner to main content
+  if (elements.mainContent) {
+    const loader = document.createElement('div');
+    loader.className = 'loading';
+    loader.innerHTML = '<div class="spinner" role="status" aria-label="Loading"></div>';
+    elements.mainContent.appendChild(loader);
+  }
+}
+
+/**
+ * Hide loading state
+ */
+function hideLoading() {
+  state.isLoading = false;
+  document.body.classList.remove('loading');
+  
+  const loader = document.querySelector('.loading');
+  if (loader) {
+    loader.remove();
+  }
 }
 
 /**
@@ -1019,13 +2787,13 @@ function announceSelection() {
     
     if (!category) return;
     
-    const categoryName = category.name;
+    const categoryName = getDisplayName(category);
     let subcategoryName = '';
     
     // Safely get subcategory name
     if (category.subcategories && 
         category.subcategories[state.currentSubcategory]) {
-      subcategoryName = category.subcategories[state.currentSubcategory].name;
+      subcategoryName = getDisplayName(category.subcategories[state.currentSubcategory]);
     }
 
     const announcement = item
@@ -1054,111 +2822,277 @@ function announceSelection() {
 // ===== SEARCH FUNCTIONALITY =====
 
 /**
- * Search across entire database
- * @param {string} query - Search query
+ * Get the search index, building it on first use
+ * Uses the generator's prebuilt index once loaded; until then (or if it is
+ * unavailable) names, aliases, tags, category names and any loaded info
+ * text are indexed here.
+ * @returns {{entries: Array<Object|null>, groups: Array<Object>, index: Object}}
+ *   Entries by document number (null for IDs missing from the manifest),
+ *   subcategories, and the index (see js/search.js)
  */
-function searchAllDatabase(query) {
-  const searchTerm = query.toLowerCase().trim();
-  
-  if (!searchTerm) {
-    state.searchResults = [];
-    state.showSearchDropdown = false;
-    renderSearchResults();
-    return;
-  }
-  
-  const results = [];
-  
+function getSearchEngine() {
+  if (state.searchEngine) return state.searchEngine;
+
+  let entries = [];
+  const groups = [];
+
+  state.manifest.categories.forEach((category, catIndex) => {
+    const categoryName = getDisplayName(category);
+
+    (category.subcategories || []).forEach((subcategory, subIndex) => {
+      const subcategoryName = getDisplayName(subcategory);
+      const location = {
+        category: categoryName,
+        categoryIndex: catIndex,
+        subcategory: subcategoryName,
+        subcategoryIndex: subIndex
+      };
+
+      groups.push({ ...location, thumbnail: subcategory.thumbnail, itemCount: (subcategory.items || []).length });
+      (subcategory.items || []).forEach((item, itemIndex) => {
+        entries.push({ ...location, item, itemIndex, foldedText: null });
+      });
+    });
+  });
+
+  let index;
+  if (state.prebuiltSearch) {
+    const byId = new Map(entries.map(entry => [entry.item.id, entry]));
+    entries = state.prebuiltSearch.ids.map(id => byId.get(id) || null);
+    index = state.prebuiltSearch.index;
+  } else {
+    index = window.EntrySearch.createIndex(entries.map(entry => ({
+      name: entry.item.name,
+      alias: entry.item.aliases || [],
+      tag: entry.item.tags || [],
+      group: [entry.category, entry.subcategory],
+      text: getSearchTexts(entry.item).map(({ text }) => text)
+    })));
+  }
+
+  state.searchEngine = { entries, groups, index };
+  state.notesIndex = null; // numbered by the entries above
+
+  return state.searchEngine;
+}
+
+/**
+ * Get the word index over private notes
+ * Documents are numbered like the engine's entries, so EntrySearch.rank()
+ * can search it together with the main index.
+ * @param {Object} engine - Result of getSearchEngine()
+ * @returns {Object} Index from EntrySearch.createIndex()
+ */
+function getNotesIndex(engine) {
+  if (!state.notesIndex) {
+    const docs = [];
+    engine.entries.forEach((entry, number) => {
+      if (entry && hasNote(entry.item)) docs[number] = { note: getNote(entry.item) };
+    });
+    state.notesIndex = window.EntrySearch.createIndex(docs);
+  }
+  return state.notesIndex;
+}
+
+/**
+ * Values of an entry for a field query ("magic:energy")
+ * @param {Object} entry - Search engine entry
+ * @param {string} field - Field from EntrySearch.FIELD_ALIASES
+ * @returns {string[]} Values to match
+ */
+function getFieldValues(entry, field) {
+  const item = entry.item;
+  switch (field) {
+    case 'name':  return [item.name];
+    case 'alias': return item.aliases || [];
+    case 'tags':  return item.tags || [];
+    case 'group': return [entry.category, entry.subcategory];
+    case 'note':  return hasNote(item) ? [getNote(item)] : [];
+    default:      return (item.facets && item.facets[field]) || [];
+  }
+}
+
+/**
+ * Check whether an entry contains a phrase anywhere
+ * @param {Object} entry - Search engine entry
+ * @param {string} phrase - Folded phrase, words separated by single spaces
+ * @returns {boolean} True if the name, an alias, a tag or the text has it
+ */
+function entryHasPhrase(entry, phrase) {
+  if (entry.foldedText === null) {
+    const item = entry.item;
+    const texts = [item.name, ...(item.aliases || []), ...(item.tags || []), ...getSearchTexts(item).map(({ text }) => text)];
+    entry.foldedText = texts.map(text => window.EntrySearch.tokenize(text).join(' ')).join('\n');
+  }
+  return entry.foldedText.includes(phrase) ||
+    window.EntrySearch.tokenize(getNote(entry.item)).join(' ').includes(phrase);
+}
+
+/**
+ * Search across entire database
+ * Results are ranked: name matches first, then aliases, tags, category
+ * names and info text; exact words above prefixes above typos.
+ * @param {string} query - Search query (syntax in js/search.js)
+ */
+function searchAllDatabase(query) {
+  const { terms, phrases, filters } = window.EntrySearch.parseQuery(query);
+
+  if (terms.length + phrases.length + filters.length === 0) {
+    state.searchResults = [];
+    state.showSearchDropdown = false;
+    renderSearchResults();
+    return;
+  }
+
+  const results = [];
+
   try {
-    // Search through all categories and subcategories
-    state.manifest.categories.forEach((category, catIndex) => {
-      // Skip categories without subcategories
-      if (!category.subcategories || !Array.isArray(category.subcategories)) {
-        return;
-      }
-      
-      category.subcategories.forEach((subcategory, subIndex) => {
-        // Check if subcategory name matches
-        const subcatMatches = subcategory.name.toLowerCase().includes(searchTerm);
-        
-        // Skip subcategories without items
-        if (!subcategory.items || !Array.isArray(subcategory.items) || subcategory.items.length === 0) {
-          // Still add subcategory to results if it matches search (even if empty)
-          if (subcatMatches) {
-            results.push({
-              type: 'subcategory',
-              category: category.name,
-              categoryIndex: catIndex,
-              subcategory: subcategory.name,
-              subcategoryIndex: subIndex,
-              thumbnail: subcategory.thumbnail,
-              path: `${category.name} › ${subcategory.name}`,
-              itemCount: 0
-            });
-          }
-          return;
-        }
-        
-        // Track if we've added this subcategory already
-        let subcategoryAdded = false;
-        
-        // Search through items
-        subcategory.items.forEach((item, itemIndex) => {
-          const searchableText = [
-            item.name,
-            subcategory.name,
-            category.name,
-            item.info || ''
-          ].join(' ').toLowerCase();
-          
-          const itemMatches = searchableText.includes(searchTerm);
-          
-          if (itemMatches) {
-            results.push({
-              type: 'item',
-              category: category.name,
-              categoryIndex: catIndex,
-              subcategory: subcategory.name,
-              subcategoryIndex: subIndex,
-              item: item,
-              itemIndex: itemIndex,
-              path: `${category.name} › ${subcategory.name}`,
-              matchedSubcategory: subcatMatches
-            });
-            
-            // If subcategory matches and we haven't added it yet, add it once
-            if (subcatMatches && !subcategoryAdded) {
-              results.push({
-                type: 'subcategory',
-                category: category.name,
-                categoryIndex: catIndex,
-                subcategory: subcategory.name,
-                subcategoryIndex: subIndex,
-                thumbnail: subcategory.thumbnail,
-                path: `${category.name}`,
-                itemCount: subcategory.items.length
-              });
-              subcategoryAdded = true;
-            }
-          }
-        });
+    const engine = getSearchEngine();
+    const ranked = window.EntrySearch.rank([engine.index, getNotesIndex(engine)], terms);
+    const candidates = ranked ? Array.from(ranked.keys()) : engine.entries.map((entry, number) => number);
+
+    candidates.forEach(number => {
+      const entry = engine.entries[number];
+      if (!entry) return;
+      const hasPhrases = phrases.every(phrase => entryHasPhrase(entry, phrase.text) !== phrase.negate);
+      const hasFilters = filters.every(filter =>
+        window.EntrySearch.matchValues(getFieldValues(entry, filter.field), filter.value) !== filter.negate
+      );
+      if (!hasPhrases || !hasFilters) return;
+
+      const hit = ranked ? ranked.get(number) : { score: 0, words: [] };
+      const words = new Set(hit.words);
+      phrases.filter(phrase => !phrase.negate).forEach(phrase => {
+        phrase.text.split(' ').forEach(word => words.add(word));
+      });
+
+      results.push({
+        type: 'item',
+        category: entry.category,
+        categoryIndex: entry.categoryIndex,
+        subcategory: entry.subcategory,
+        subcategoryIndex: entry.subcategoryIndex,
+        item: entry.item,
+        itemIndex: entry.itemIndex,
+        path: `${entry.category} › ${entry.subcategory}`,
+        score: hit.score,
+        order: number,
+        words
       });
     });
+
+    // Plain word queries also find subcategories by name
+    if (phrases.length === 0 && filters.length === 0 && terms.every(term => !term.negate)) {
+      engine.groups.forEach((group, number) => {
+        const score = window.EntrySearch.scoreName(terms, group.subcategory);
+        if (score === 0) return;
+        results.push({
+          type: 'subcategory',
+          category: group.category,
+          categoryIndex: group.categoryIndex,
+          subcategory: group.subcategory,
+          subcategoryIndex: group.subcategoryIndex,
+          thumbnail: group.thumbnail,
+          path: group.category,
+          itemCount: group.itemCount,
+          score,
+          order: -engine.groups.length + number
+        });
+      });
+    }
   } catch (error) {
     console.error('Search error:', error);
     showToast('Search failed. Please try again.', 'error', 3000);
     return;
   }
-  
+
+  results.sort((a, b) => b.score - a.score || a.order - b.order);
+
   state.searchResults = results;
   state.searchSelectedIndex = results.length > 0 ? 0 : -1;
   state.showSearchDropdown = true;
-  
+
   renderSearchResults();
 }
 
+/**
+ * Get an item's info text in every language for searching
+ * Uses the prebuilt search index, falling back to already-loaded details.
+ * The preferred language comes first so its matches win.
+ * @param {Object} item - Manifest item
+ * @returns {Array<{language: string|null, text: string}>} Single-line texts
+ *   (may be empty before the index loads)
+ */
+function getSearchTexts(item) {
+  let texts;
+  if (state.searchIndex && state.searchIndex.has(item.id)) {
+    texts = Object.entries(state.searchIndex.get(item.id))
+      .map(([lang, text]) => ({ language: lang || null, text }));
+  } else {
+    texts = [{ language: item.language || null, text: item.info || '' }];
+    Object.entries(item.translations || {}).forEach(([lang, translation]) => {
+      texts.push({ language: lang, text: translation.info || '' });
+    });
+    texts.forEach(entry => { entry.text = entry.text.replace(/\s+/g, ' ').trim(); });
+  }
+
+  return texts.sort((a, b) => (b.language === state.language) - (a.language === state.language));
+}
+
+/**
+ * Work out what to show for an item result: highlighted words in its
+ * name, or else a snippet of the user's note or the info text around the
+ * first match
+ * @param {Object} result - Item search result
+ * @returns {{nameHighlights: Array<[number, number]>, snippet: Object|null,
+ *   language: string|null, note: boolean}} Highlights,
+ *   EntrySearch.makeSnippet() result, the language the snippet is in and
+ *   whether it comes from the note
+ */
+function describeSearchMatch(result) {
+  const match = { nameHighlights: [], snippet: null, language: null, note: false };
+  if (result.words.size === 0) return match;
+
+  match.nameHighlights = window.EntrySearch.findRanges(result.item.name, result.words);
+  if (match.nameHighlights.length > 0) return match;
+
+  if (hasNote(result.item)) {
+    match.snippet = window.EntrySearch.makeSnippet(getNote(result.item).replace(/\s+/g, ' '), result.words);
+    match.note = match.snippet !== null;
+    if (match.note) return match;
+  }
+
+  getSearchTexts(result.item).some(({ language, text }) => {
+    match.snippet = window.EntrySearch.makeSnippet(text, result.words);
+    match.language = match.snippet ? language : null;
+    return match.snippet !== null;
+  });
+
+  return match;
+}
+
+/**
+ * Append text with some ranges wrapped in <mark>
+ * @param {HTMLElement} element - Parent element
+ * @param {string} text - Text
+ * @param {Array<[number, number]>} ranges - Sorted start/end offsets
+ */
+function appendHighlighted(element, text, ranges) {
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < last) return;
+    element.appendChild(document.createTextNode(text.slice(last, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    last = end;
+  });
+  element.appendChild(document.createTextNode(text.slice(last)));
+}
+
 /**
  * Render search results dropdown
+ * Shows the best CONFIG.maxSearchResults results.
  */
 function renderSearchResults() {
   if (!elements.searchResults) return;
@@ -1177,7 +3111,7 @@ function renderSearchResults() {
   
   elements.searchResults.innerHTML = '';
   
-  state.searchResults.forEach((result, index) => {
+  state.searchResults.slice(0, CONFIG.maxSearchResults).forEach((result, index) => {
     const item = document.createElement('div');
     item.className = 'search-result-item';
     item.setAttribute('role', 'option');
@@ -1210,119 +3144,1434 @@ function renderSearchResults() {
     const info = document.createElement('div');
     info.className = 'search-result-info';
     
+    const match = result.type === 'item'
+      ? describeSearchMatch(result)
+      : { nameHighlights: [], snippet: null, language: null, note: false };
+    
     const name = document.createElement('div');
     name.className = 'search-result-name';
-    name.textContent = result.type === 'item' ? result.item.name : result.subcategory;
+    appendHighlighted(name, result.type === 'item' ? result.item.name : result.subcategory, match.nameHighlights);
     
     const path = document.createElement('div');
     path.className = 'search-result-path';
     path.textContent = result.path + (result.type === 'subcategory' ? ` (${result.itemCount} items)` : '');
     
+    // Say which language matched when the database has several
+    if (match.language && state.languages.length > 1) {
+      const language = document.createElement('span');
+      language.className = 'search-result-language';
+      language.textContent = getLanguageName(match.language);
+      language.lang = match.language;
+      path.appendChild(language);
+    }
+    
     info.appendChild(name);
     info.appendChild(path);
+    
+    if (match.snippet) {
+      const snippet = document.createElement('div');
+      snippet.className = 'search-result-snippet';
+      if (match.language) snippet.lang = match.language;
+      if (match.note) {
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-sticky-note';
+        icon.title = 'From your notes';
+        snippet.append(icon, ' ');
+      }
+      appendHighlighted(snippet, match.snippet.text, match.snippet.highlights);
+      info.appendChild(snippet);
+    }
+    
     item.appendChild(info);
     
+    if (result.type === 'item') {
+      const compare = createCompareButton(result.item, 'search-result-compare');
+      compare.tabIndex = -1; // The listbox is driven from the search input
+      item.appendChild(compare);
+    }
+    
     // Click handler
     item.addEventListener('click', () => selectSearchResult(index));
     
     elements.searchResults.appendChild(item);
   });
   
+  if (state.searchResults.length > CONFIG.maxSearchResults) {
+    const more = document.createElement('div');
+    more.className = 'search-results-more';
+    more.textContent = `Showing the best ${CONFIG.maxSearchResults} of ${state.searchResults.length} results – refine the search to see others`;
+    elements.searchResults.appendChild(more);
+  }
+  
   elements.searchResults.classList.add('show');
 }
 
 /**
- * Select a search result
- * @param {number} index - Result index
+ * Select a search result
+ * @param {number} index - Result index
+ */
+function selectSearchResult(index) {
+  const result = state.searchResults[index];
+  
+  if (!result) return;
+  
+  // Navigate to the result
+  resetFilters();
+  if (result.type === 'item') {
+    state.currentCategory = result.categoryIndex;
+    state.currentSubcategory = result.subcategoryIndex;
+    state.currentItem = result.itemIndex;
+  } else if (result.type === 'subcategory') {
+    state.currentCategory = result.categoryIndex;
+    state.currentSubcategory = result.subcategoryIndex;
+    // Check if subcategory has items
+    const category = state.manifest.categories[result.categoryIndex];
+    const subcategory = category?.subcategories?.[result.subcategoryIndex];
+    if (subcategory?.items && subcategory.items.length > 0) {
+      state.currentItem = 0;
+    } else {
+      state.currentItem = -1; // No items available
+    }
+  }
+  
+  // Clear search
+  state.searchQuery = '';
+  state.searchResults = [];
+  state.showSearchDropdown = false;
+  elements.searchInput.value = '';
+  
+  // Update UI
+  updateUI();
+  renderSearchResults();
+  
+  // Scroll to top
+  if (elements.mainContent) {
+    document.getElementById('main').scrollTop = 0;
+  }
+}
+
+/**
+ * Handle search input
+ * @param {string} query - Search query
+ */
+function handleSearch(query) {
+  state.searchQuery = query;
+  searchAllDatabase(query);
+
+  // Before the index arrives only names match; search again once it has
+  if (!state.prebuiltSearch && !state.searchIndex && query.trim()) {
+    loadSearchIndex().then(() => {
+      if ((state.prebuiltSearch || state.searchIndex) && state.searchQuery === query) {
+        searchAllDatabase(query);
+      }
+    });
+  }
+}
+
+/**
+ * Navigate search results with keyboard
+ * @param {number} direction - -1 for up, 1 for down
+ */
+function navigateSearchResults(direction) {
+  const shown = Math.min(state.searchResults.length, CONFIG.maxSearchResults);
+  if (shown === 0) return;
+  
+  state.searchSelectedIndex += direction;
+  
+  if (state.searchSelectedIndex < 0) {
+    state.searchSelectedIndex = shown - 1;
+  } else if (state.searchSelectedIndex >= shown) {
+    state.searchSelectedIndex = 0;
+  }
+  
+  renderSearchResults();
+  
+  // Scroll selected item into view
+  const selected = elements.searchResults.querySelector('.search-result-item.selected');
+  if (selected) {
+    selected.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
+
+/**
+ * Show search results count (DEPRECATED)
+ */
+function showSearchResults(found, total) {
+  // Search now uses dropdown, this is no longer needed
+  return;
+}
+
+// ===== BREADCRUMB NAVIGATION (DEPRECATED) =====
+
+/**
+ * Render breadcrumb navigation (DEPRECATED - hidden)
+ */
+function renderBreadcrumb() {
+  // Breadcrumbs are hidden for now
+  return;
+}
+
+// ===== FILTERS =====
+
+// Facets of the filter bar; values are precomputed by the generator
+// (scripts/lib/facets.js), tags come from meta.json
+const FILTER_FACETS = [
+  { key: 'origin', label: 'Origin' },
+  { key: 'magic', label: 'Magic' },
+  { key: 'strengths', label: 'Strengths' },
+  { key: 'weaknesses', label: 'Weaknesses' },
+  { key: 'role', label: 'Role' },
+  { key: 'tags', label: 'Tags' }
+];
+
+/**
+ * Get an item's values for one facet
+ * @param {Object} item - Manifest item
+ * @param {string} key - Facet key
+ * @returns {string[]} Values (empty if none)
+ */
+function getFacetValues(item, key) {
+  if (key === 'tags') return item.tags || [];
+  return (item.facets && item.facets[key]) || [];
+}
+
+/**
+ * Check whether any filter value is selected
+ * @returns {boolean}
+ */
+function hasActiveFilters() {
+  return Object.values(state.filters).some(values => values.length > 0);
+}
+
+/**
+ * Check whether the grid shows a filtered list instead of a subcategory
+ * (favorites are never filtered)
+ * @returns {boolean}
+ */
+function isFilteredView() {
+  return state.currentCategory !== -1 && (hasActiveFilters() || state.filterScope === 'all');
+}
+
+/**
+ * Check an item against the active filters
+ * An item must match every facet, and any of the values chosen within one.
+ * @param {Object} item - Manifest item
+ * @param {string} [exceptKey] - Facet to ignore (for option counts)
+ * @returns {boolean}
+ */
+function matchesFilters(item, exceptKey) {
+  return Object.entries(state.filters).every(([key, values]) =>
+    key === exceptKey || values.length === 0 || getFacetValues(item, key).some(value => values.includes(value))
+  );
+}
+
+/**
+ * Get the items filters apply to: the current subcategory or everything
+ * @returns {Array<Object>} Items
+ */
+function getFilterPool() {
+  if (state.filterScope === 'all') {
+    return state.manifest.categories.flatMap(category =>
+      category.subcategories.flatMap(subcategory => subcategory.items)
+    );
+  }
+
+  const category = state.manifest.categories[state.currentCategory];
+  const subcategory = category?.subcategories?.[state.currentSubcategory];
+  return subcategory?.items || [];
+}
+
+/**
+ * Get the items matching the active filters
+ * @returns {Array<Object>} Items in display order
+ */
+function getFilteredItems() {
+  return getFilterPool().filter(item => matchesFilters(item));
+}
+
+/**
+ * Drop every filter and go back to the subcategory view (no re-render)
+ */
+function resetFilters() {
+  state.filters = {};
+  state.filterScope = 'subcategory';
+}
+
+/**
+ * Change filters and re-render, keeping the selected item when it still matches
+ * @param {function(): void} change - Mutates state.filters / state.filterScope
+ */
+function updateFilters(change) {
+  const selected = getCurrentItem();
+  change();
+
+  const items = getCurrentItems();
+  const index = items.indexOf(selected);
+  state.currentItem = index >= 0 ? index : (items.length > 0 ? 0 : -1);
+
+  updateUI();
+}
+
+/**
+ * Add or remove one filter value
+ * @param {string} key - Facet key
+ * @param {string} value - Facet value
+ * @param {boolean} active - True to add, false to remove
+ */
+function setFilter(key, value, active) {
+  updateFilters(() => {
+    const values = (state.filters[key] || []).filter(v => v !== value);
+    if (active) values.push(value);
+    state.filters = { ...state.filters, [key]: values };
+  });
+}
+
+/**
+ * Serialise filters for the URL hash
+ * @returns {string} Query such as "magic=Energy&magic=Movement&scope=all"
+ */
+function getFilterQuery() {
+  const params = new URLSearchParams();
+  FILTER_FACETS.forEach(({ key }) => {
+    (state.filters[key] || []).forEach(value => params.append(key, value));
+  });
+  if (state.filterScope === 'all') params.set('scope', 'all');
+  return params.toString();
+}
+
+/**
+ * Read filters from the query part of the URL hash
+ * @param {string} query - Text after "?" (may be empty)
+ */
+function parseFilterQuery(query) {
+  const params = new URLSearchParams(query);
+  resetFilters();
+  FILTER_FACETS.forEach(({ key }) => {
+    const values = params.getAll(key).filter(Boolean);
+    if (values.length > 0) state.filters[key] = values;
+  });
+  if (params.get('scope') === 'all') state.filterScope = 'all';
+}
+
+/**
+ * Render the filter bar above the grid
+ * Each facet is a dropdown of the values found in the filtered items (with
+ * counts); chosen values become removable chips.
+ */
+function renderFilterBar() {
+  const bar = elements.filterBar;
+  if (!bar) return;
+  bar.innerHTML = '';
+
+  const pool = state.currentCategory === -1 ? [] : getFilterPool();
+  const facets = FILTER_FACETS.map(facet => {
+    const counts = new Map();
+    pool.filter(item => matchesFilters(item, facet.key)).forEach(item => {
+      getFacetValues(item, facet.key).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return { ...facet, counts };
+  });
+
+  bar.hidden = state.currentCategory === -1 ||
+    (!isFilteredView() && facets.every(facet => facet.counts.size === 0));
+  if (bar.hidden) return;
+
+  facets.filter(facet => facet.counts.size > 0).forEach(({ key, label, counts }) => {
+    const chosen = state.filters[key] || [];
+    const select = document.createElement('select');
+    select.className = 'filter-select';
+    select.setAttribute('aria-label', `Filter by ${label}`);
+    select.add(new Option(label, ''));
+    [...counts.keys()]
+      .filter(value => !chosen.includes(value))
+      .sort((a, b) => a.localeCompare(b))
+      .forEach(value => select.add(new Option(`${value} (${counts.get(value)})`, value)));
+    select.addEventListener('change', () => {
+      if (select.value) setFilter(key, select.value, true);
+    });
+    bar.appendChild(select);
+  });
+
+  const scope = document.createElement('label');
+  scope.className = 'filter-scope';
+  const scopeBox = document.createElement('input');
+  scopeBox.type = 'checkbox';
+  scopeBox.checked = state.filterScope === 'all';
+  scopeBox.addEventListener('change', () => {
+    updateFilters(() => { state.filterScope = scopeBox.checked ? 'all' : 'subcategory'; });
+  });
+  scope.append(scopeBox, ' Whole database');
+  bar.appendChild(scope);
+
+  if (!isFilteredView()) return;
+
+  const chips = document.createElement('ul');
+  chips.className = 'filter-chips';
+  FILTER_FACETS.forEach(({ key, label }) => {
+    (state.filters[key] || []).forEach(value => {
+      const li = document.createElement('li');
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.textContent = `${label}: ${value} ×`;
+      chip.setAttribute('aria-label', `Remove filter ${label}: ${value}`);
+      chip.addEventListener('click', () => setFilter(key, value, false));
+      li.appendChild(chip);
+      chips.appendChild(li);
+    });
+  });
+  bar.appendChild(chips);
+
+  const count = document.createElement('span');
+  count.className = 'filter-count';
+  count.setAttribute('aria-live', 'polite');
+  count.textContent = `${getFilteredItems().length} of ${pool.length}`;
+  bar.appendChild(count);
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'filter-clear';
+  clear.textContent = 'Clear filters';
+  clear.addEventListener('click', () => updateFilters(resetFilters));
+  bar.appendChild(clear);
+}
+
+// ===== ACTION MENUS =====
+
+/**
+ * Get the item selections that print and export can act on
+ * @returns {Array<{key: string, label: string, items: Array}>}
+ */
+function getItemSelections() {
+  const category = state.manifest.categories[state.currentCategory];
+  const subcategory = category?.subcategories?.[state.currentSubcategory];
+  const item = getCurrentItem();
+
+  return [
+    {
+      key: 'item',
+      label: item ? item.name : 'Current entry',
+      items: item ? [item] : []
+    },
+    {
+      key: 'subcategory',
+      label: isFilteredView() ? 'Filtered entries' : subcategory ? getDisplayName(subcategory) : 'Current subcategory',
+      items: state.currentCategory === -1 ? [] : getCurrentItems()
+    },
+    ...state.collections.map(collection => ({
+      key: `collection:${collection.id}`,
+      label: collection.name,
+      items: collection.items.map(fav => fav.item)
+    })),
+    {
+      key: 'search',
+      label: state.searchQuery ? `Search “${state.searchQuery}”` : 'Search results',
+      items: state.searchResults.filter(result => result.type === 'item').map(result => result.item)
+    }
+  ];
+}
+
+/**
+ * Open or close an action menu (print, export)
+ * @param {HTMLElement} button - Menu button
+ * @param {HTMLElement} menu - Menu element
+ * @param {Function} render - Fills the menu before it opens
+ * @param {boolean} [open] - Force a state (toggles when omitted)
+ */
+function toggleActionMenu(button, menu, render, open) {
+  const show = open === undefined ? menu.hidden : open;
+  if (show) render();
+  menu.hidden = !show;
+  button.setAttribute('aria-expanded', show ? 'true' : 'false');
+}
+
+/**
+ * Fill an action menu with a title and one button per item selection
+ * @param {HTMLElement} menu - Menu element
+ * @param {string} title - Menu title
+ * @param {function(Object): void} onSelect - Called with the chosen selection
+ */
+function renderSelectionMenu(menu, title, onSelect) {
+  menu.innerHTML = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'action-menu-title';
+  heading.textContent = title;
+  menu.appendChild(heading);
+
+  getItemSelections().forEach(selection => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('role', 'menuitem');
+    button.textContent = `${selection.label} (${selection.items.length})`;
+    button.disabled = selection.items.length === 0;
+    button.addEventListener('click', () => {
+      menu.hidden = true;
+      document.querySelector(`[aria-controls="${menu.id}"]`)?.setAttribute('aria-expanded', 'false');
+      onSelect(selection);
+    });
+    menu.appendChild(button);
+  });
+}
+
+// ===== PRINT CARDS =====
+
+/**
+ * Card rows and the info.txt headings they are taken from (English and Czech)
+ */
+const PRINT_CARD_SECTIONS = [
+  { label: 'Origin', headings: ['Place of Origin', 'Město'] },
+  { label: 'Strengths', headings: ['Strengths', 'Silné stránky'] },
+  { label: 'Weaknesses', headings: ['Weaknesses'] },
+  { label: 'Behavior', headings: ['Behavior'] }
+];
+
+/**
+ * Render the print menu: one entry per selection plus the paper size
+ */
+function renderPrintMenu() {
+  renderSelectionMenu(elements.printMenu, 'Print cards', selection => printCards(selection.items));
+
+  const paper = document.createElement('select');
+  paper.setAttribute('aria-label', 'Paper size');
+  Object.entries(CONFIG.printPaperSizes).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    paper.appendChild(option);
+  });
+  paper.value = getPrintPaper();
+  paper.addEventListener('change', () => {
+    try {
+      localStorage.setItem('aoh-print-paper', paper.value);
+    } catch (error) {
+      console.error('Failed to save paper size:', error);
+    }
+  });
+  elements.printMenu.appendChild(paper);
+}
+
+/**
+ * Get the remembered paper size
+ * @returns {string} Key of CONFIG.printPaperSizes
+ */
+function getPrintPaper() {
+  try {
+    const saved = localStorage.getItem('aoh-print-paper');
+    if (saved in CONFIG.printPaperSizes) return saved;
+  } catch (error) {
+    console.warn('Failed to load paper size:', error);
+  }
+  return 'a4';
+}
+
+/**
+ * Lay out items as cards and open the browser's print dialog
+ * Details and avatars are loaded first so every card is complete.
+ * @param {Array} items - Manifest items
+ */
+async function printCards(items) {
+  if (!elements.printCards || items.length === 0) return;
+
+  showLoading();
+  try {
+    await Promise.all(items.map(item => loadItemDetails(item)));
+    await Promise.all(items.filter(item => item.avatar).map(item => loadImage(item.avatar)));
+  } catch (error) {
+    console.error('Failed to prepare cards:', error);
+    showToast('Could not load all entries for printing. Please try again.', 'error', 5000);
+    hideLoading();
+    return;
+  }
+  hideLoading();
+
+  elements.printCards.innerHTML = '';
+  elements.printCards.className = `paper-${getPrintPaper()}`;
+  items.forEach(item => elements.printCards.appendChild(createPrintCard(item)));
+
+  document.body.classList.add('printing-cards');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-cards');
+    elements.printCards.innerHTML = '';
+  }, { once: true });
+
+  window.print();
+}
+
+/**
+ * Build one printable card
+ * Uses the same content as the info panel (preferred language, GM secrets).
+ * @param {Object} item - Manifest item with details loaded
+ * @returns {HTMLElement}
+ */
+function createPrintCard(item) {
+  const card = document.createElement('article');
+  card.className = 'print-card';
+  if (isGmOnly(item)) card.classList.add('secret');
+
+  const content = getItemContent(item);
+  if (content.language) card.lang = content.language;
+
+  const header = document.createElement('header');
+  if (item.avatar) {
+    const avatar = document.createElement('img');
+    avatar.src = item.avatar;
+    avatar.alt = '';
+    header.appendChild(avatar);
+  }
+
+  const name = document.createElement('h3');
+  name.textContent = item.name;
+  header.appendChild(name);
+
+  const location = state.entryIndex.get(item.id);
+  if (location) {
+    const group = document.createElement('p');
+    group.textContent = getDisplayName(state.manifest.categories[location.categoryIndex]
+      .subcategories[location.subcategoryIndex]);
+    header.appendChild(group);
+  }
+  card.appendChild(header);
+
+  PRINT_CARD_SECTIONS.forEach(({ label, headings }) => {
+    const entries = headings.flatMap(heading => content.sections[heading] || []);
+    if (entries.length === 0) return;
+
+    const section = document.createElement('section');
+    const title = document.createElement('h4');
+    title.textContent = label;
+    section.appendChild(title);
+
+    const list = document.createElement('ul');
+    entries.forEach(entry => {
+      const li = document.createElement('li');
+      li.textContent = entry.text;
+      if (entry.secret) li.className = 'secret';
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    card.appendChild(section);
+  });
+
+  return card;
+}
+
+// ===== VTT EXPORT =====
+
+/**
+ * Render the export menu: one entry per selection plus the target format
+ */
+function renderExportMenu() {
+  renderSelectionMenu(elements.exportMenu, 'Export for virtual tabletop', selection => {
+    exportItems(selection.items, selection.label);
+  });
+
+  const format = document.createElement('select');
+  format.setAttribute('aria-label', 'Export format');
+  Object.entries(window.VttExport.FORMATS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    format.appendChild(option);
+  });
+  format.value = state.exportFormat;
+  format.addEventListener('change', () => {
+    state.exportFormat = format.value;
+  });
+  elements.exportMenu.appendChild(format);
+}
+
+/**
+ * Export items to the selected VTT format and download the JSON file
+ * Uses the content shown in the info panel (preferred language, secrets
+ * kept apart as GM-only text).
+ * @param {Array} items - Manifest items
+ * @param {string} name - Bundle name
+ */
+async function exportItems(items, name) {
+  try {
+    await Promise.all(items.map(item => loadItemDetails(item)));
+
+    const entries = items.map(item => {
+      const location = state.entryIndex.get(item.id);
+      const subcategory = location && state.manifest.categories[location.categoryIndex]
+        .subcategories[location.subcategoryIndex];
+      return {
+        id: item.id,
+        name: item.name,
+        group: subcategory ? getDisplayName(subcategory) : '',
+        img: item.avatar ? new URL(item.avatar, document.baseURI).href : null,
+        sections: getItemContent(item).sections
+      };
+    });
+
+    const data = window.VttExport.buildExport(state.exportFormat, entries, name);
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+    downloadJson(data, `aoh-${slug}-${state.exportFormat}.json`);
+  } catch (error) {
+    console.error('Export failed:', error);
+    showToast('Export failed. Please try again.', 'error', 5000);
+  }
+}
+
+/**
+ * Offer data as a JSON file download
+ * @param {Object} data - JSON-serialisable data
+ * @param {string} filename - Suggested file name
+ */
+function downloadJson(data, filename) {
+  downloadText(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [type='text/plain'] - MIME type
+ */
+function downloadText(text, filename, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ===== RANDOM ROSTER =====
+
+/**
+ * Create a seeded random number generator (FNV-1a hash of the seed feeding
+ * mulberry32), so the same seed always draws the same roster
+ * @param {string} seed - Any text
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let hash = 2166136261;
+  for (const char of seed) hash = Math.imul(hash ^ char.codePointAt(0), 16777619);
+
+  let value = hash >>> 0;
+  return () => {
+    value = (value + 0x6D2B79F5) | 0;
+    let t = Math.imul(value ^ (value >>> 15), 1 | value);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw distinct items (partial Fisher–Yates shuffle)
+ * @param {Array} pool - Items to draw from (left unchanged)
+ * @param {number} count - Number of items wanted
+ * @param {function(): number} random - Random number generator
+ * @returns {Array} Up to `count` items
+ */
+function drawItems(pool, count, random) {
+  const items = pool.slice();
+  const drawn = Math.min(count, items.length);
+  for (let i = 0; i < drawn; i++) {
+    const j = i + Math.floor(random() * (items.length - i));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items.slice(0, drawn);
+}
+
+/**
+ * Get the scopes the roster can draw from
+ * @returns {Array<{key: string, label: string, items: Array}>}
+ */
+function getRosterScopes() {
+  const category = state.currentCategory === -1 ? null : state.manifest.categories[state.currentCategory];
+  const subcategory = category?.subcategories?.[state.currentSubcategory];
+
+  return [
+    {
+      key: 'subcategory',
+      label: subcategory ? getDisplayName(subcategory) : 'Current subcategory',
+      items: subcategory ? subcategory.items : []
+    },
+    {
+      key: 'category',
+      label: category ? `All ${getDisplayName(category)}` : 'Current category',
+      items: category ? category.subcategories.flatMap(sub => sub.items) : []
+    },
+    {
+      key: 'all',
+      label: 'Whole database',
+      items: state.manifest.categories.flatMap(cat => cat.subcategories.flatMap(sub => sub.items))
+    },
+    ...state.collections.map(collection => ({
+      key: `collection:${collection.id}`,
+      label: collection.name,
+      items: collection.items.map(fav => fav.item).filter(Boolean)
+    }))
+  ];
+}
+
+/**
+ * Get the roster's chosen scope (the current subcategory if it is gone)
+ * @returns {{key: string, label: string, items: Array}}
+ */
+function getRosterScope() {
+  const scopes = getRosterScopes();
+  return scopes.find(scope => scope.key === state.roster.scope) || scopes[0];
+}
+
+/**
+ * Get the items the roster draws from: the scope narrowed by its filters
+ * (one value per facet, every facet must match)
+ * @returns {Array<Object>} Items in display order
+ */
+function getRosterPool() {
+  return getRosterScope().items.filter(item =>
+    Object.entries(state.roster.filters).every(([key, value]) => getFacetValues(item, key).includes(value))
+  );
+}
+
+/**
+ * Draw a new roster
+ * An empty seed field picks a random seed; it is shown with the roster so
+ * the same draw (and its re-rolls) can be repeated later.
+ */
+function drawRoster() {
+  const roster = state.roster;
+  const seed = roster.seed || Math.random().toString(36).slice(2, 8);
+  roster.random = createRandom(seed);
+  roster.drawnSeed = seed;
+  roster.items = drawItems(getRosterPool(), roster.count, roster.random);
+
+  if (roster.items.length === 0) {
+    showToast('No entries match this scope and these filters', 'info', 3000);
+  }
+  renderRosterPanel();
+}
+
+/**
+ * Replace one drawn item with another from the pool that is not on the roster
+ * @param {number} index - Position in the roster
+ */
+function rerollRosterItem(index) {
+  const roster = state.roster;
+  const drawn = new Set(roster.items.map(item => item.id));
+  const [item] = drawItems(getRosterPool().filter(candidate => !drawn.has(candidate.id)), 1, roster.random);
+
+  if (!item) {
+    showToast('There is nobody else to draw', 'info', 2000);
+    return;
+  }
+  roster.items[index] = item;
+  renderRosterPanel();
+}
+
+/**
+ * Save the drawn roster as a new favorite collection
+ */
+function saveRosterAsCollection() {
+  const roster = state.roster;
+  const name = askCollectionName('Name of the new collection:', null, `Roster ${roster.drawnSeed}`);
+  if (!name) return;
+
+  const collection = createCollection(name, roster.items.map(item => item.id));
+  state.collections.push(collection);
+  state.expandedCollections.add(collection.id);
+  saveCollections();
+  updateUI();
+  showToast(`${collection.items.length} entries saved to ${name}`, 'success', 2000);
+}
+
+/**
+ * Close the roster panel
+ */
+function closeRosterPanel() {
+  toggleActionMenu(elements.rosterButton, elements.rosterPanel, renderRosterPanel, false);
+}
+
+/**
+ * Render the roster panel: scope, filters, count and seed, then the drawn
+ * entries with a re-roll button each
+ * @param {string} [focusName] - Name of the control to focus afterwards
+ */
+function renderRosterPanel(focusName) {
+  const panel = elements.rosterPanel;
+  const roster = state.roster;
+  panel.innerHTML = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'action-menu-title';
+  heading.textContent = 'Random roster';
+  panel.appendChild(heading);
+
+  const scope = document.createElement('select');
+  scope.name = 'scope';
+  scope.setAttribute('aria-label', 'Draw from');
+  getRosterScopes().forEach(option => {
+    const element = new Option(`${option.label} (${option.items.length})`, option.key);
+    element.disabled = option.items.length === 0;
+    scope.add(element);
+  });
+  scope.value = getRosterScope().key;
+  scope.addEventListener('change', () => {
+    roster.scope = scope.value;
+    roster.filters = {};
+    renderRosterPanel('scope');
+  });
+  panel.appendChild(scope);
+
+  // One dropdown per facet found in the scope; its counts follow the other filters
+  const scopeItems = getRosterScope().items;
+  FILTER_FACETS.forEach(({ key, label }) => {
+    const counts = new Map();
+    scopeItems
+      .filter(item => Object.entries(roster.filters).every(([other, value]) =>
+        other === key || getFacetValues(item, other).includes(value)))
+      .forEach(item => {
+        getFacetValues(item, key).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+    if (counts.size === 0 && !roster.filters[key]) return;
+
+    const select = document.createElement('select');
+    select.name = key;
+    select.setAttribute('aria-label', `Only entries with this ${label}`);
+    select.add(new Option(`Any ${label}`, ''));
+    [...counts.keys()]
+      .sort((a, b) => a.localeCompare(b))
+      .forEach(value => select.add(new Option(`${value} (${counts.get(value)})`, value)));
+    select.value = roster.filters[key] || '';
+    select.addEventListener('change', () => {
+      const filters = { ...roster.filters };
+      if (select.value) filters[key] = select.value;
+      else delete filters[key];
+      roster.filters = filters;
+      renderRosterPanel(key);
+    });
+    panel.appendChild(select);
+  });
+
+  const controls = document.createElement('div');
+  controls.className = 'roster-controls';
+
+  const count = document.createElement('input');
+  count.type = 'number';
+  count.name = 'count';
+  count.min = '1';
+  count.max = String(CONFIG.maxRosterSize);
+  count.value = String(roster.count);
+  count.setAttribute('aria-label', 'Number of entries');
+  count.addEventListener('change', () => {
+    const value = parseInt(count.value, 10);
+    roster.count = Math.min(Math.max(Number.isFinite(value) ? value : 1, 1), CONFIG.maxRosterSize);
+    count.value = String(roster.count);
+  });
+
+  const seed = document.createElement('input');
+  seed.type = 'text';
+  seed.name = 'seed';
+  seed.value = roster.seed;
+  seed.placeholder = 'Seed (optional)';
+  seed.setAttribute('aria-label', 'Seed: the same seed draws the same roster');
+  seed.addEventListener('input', () => {
+    roster.seed = seed.value.trim();
+  });
+  seed.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') drawRoster();
+  });
+
+  const draw = document.createElement('button');
+  draw.type = 'button';
+  draw.name = 'draw';
+  draw.className = 'roster-draw';
+  draw.innerHTML = '<i class="fas fa-dice" aria-hidden="true"></i> Draw';
+  draw.disabled = getRosterPool().length === 0;
+  draw.addEventListener('click', drawRoster);
+
+  controls.append(count, seed, draw);
+  panel.appendChild(controls);
+
+  if (roster.items.length > 0) {
+    const list = document.createElement('ol');
+    list.className = 'roster-list';
+    roster.items.forEach((item, index) => {
+      const li = document.createElement('li');
+
+      const link = createEntryLink(item.id, item.name);
+      link.addEventListener('click', closeRosterPanel);
+      li.appendChild(link);
+
+      const reroll = document.createElement('button');
+      reroll.type = 'button';
+      reroll.className = 'roster-reroll';
+      reroll.title = `Re-roll ${item.name}`;
+      reroll.setAttribute('aria-label', `Re-roll ${item.name}`);
+      reroll.innerHTML = '<i class="fas fa-rotate" aria-hidden="true"></i>';
+      reroll.addEventListener('click', () => rerollRosterItem(index));
+      li.appendChild(reroll);
+
+      list.appendChild(li);
+    });
+    panel.appendChild(list);
+
+    const footer = document.createElement('div');
+    footer.className = 'roster-footer';
+    const seedLabel = document.createElement('span');
+    seedLabel.textContent = `Seed: ${roster.drawnSeed}`;
+    const save = document.createElement('button');
+    save.type = 'button';
+    save.textContent = 'Save as collection';
+    save.addEventListener('click', saveRosterAsCollection);
+    footer.append(seedLabel, save);
+    panel.appendChild(footer);
+  }
+
+  if (focusName) panel.querySelector(`[name="${focusName}"]`)?.focus();
+}
+
+// ===== NAME GENERATOR =====
+
+/**
+ * Generate a fresh batch of names for the name dialog
+ */
+function generateDialogNames() {
+  const generator = state.nameGenerator;
+  generator.names = window.NameGenerator.generateNames({
+    cities: window.NameGenerator.collectCities(state.manifest),
+    taken: window.NameGenerator.collectTaken(state.manifest),
+    gender: generator.gender,
+    city: generator.city || null,
+    count: CONFIG.generatedNames
+  });
+  generator.selected = generator.names.length > 0 ? 0 : -1;
+
+  if (generator.names.length === 0) {
+    showToast('No free names left for these options', 'info', 3000);
+  }
+  renderNamesPanel();
+}
+
+/**
+ * Render the name dialog: gender and city, the generated names, and the
+ * info.txt template of the chosen one
+ * @param {string} [focusName] - Name of the control to focus afterwards
+ */
+function renderNamesPanel(focusName) {
+  const panel = elements.namesPanel;
+  const generator = state.nameGenerator;
+  panel.innerHTML = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'action-menu-title';
+  heading.textContent = 'Name generator';
+  panel.appendChild(heading);
+
+  const gender = document.createElement('select');
+  gender.name = 'gender';
+  gender.setAttribute('aria-label', 'Given names');
+  gender.add(new Option('Any given name', 'any'));
+  gender.add(new Option('Male given names', 'male'));
+  gender.add(new Option('Female given names', 'female'));
+  gender.value = generator.gender;
+  gender.addEventListener('change', () => {
+    generator.gender = gender.value;
+  });
+  panel.appendChild(gender);
+
+  const city = document.createElement('select');
+  city.name = 'city';
+  city.setAttribute('aria-label', 'City');
+  city.add(new Option('Any known city', ''));
+  window.NameGenerator.collectCities(state.manifest).forEach(name => city.add(new Option(name, name)));
+  city.value = generator.city;
+  city.addEventListener('change', () => {
+    generator.city = city.value;
+  });
+  panel.appendChild(city);
+
+  const generate = document.createElement('button');
+  generate.type = 'button';
+  generate.name = 'generate';
+  generate.className = 'names-generate';
+  generate.innerHTML = '<i class="fas fa-signature" aria-hidden="true"></i> Generate names';
+  generate.addEventListener('click', generateDialogNames);
+  panel.appendChild(generate);
+
+  if (generator.names.length > 0) {
+    const list = document.createElement('div');
+    list.className = 'names-list';
+    list.setAttribute('role', 'radiogroup');
+    list.setAttribute('aria-label', 'Generated names');
+    generator.names.forEach((entry, index) => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.name = `name-${index}`;
+      option.setAttribute('role', 'radio');
+      option.setAttribute('aria-checked', index === generator.selected ? 'true' : 'false');
+      option.textContent = entry.name;
+      option.addEventListener('click', () => {
+        generator.selected = index;
+        renderNamesPanel(option.name);
+      });
+      list.appendChild(option);
+    });
+    panel.appendChild(list);
+  }
+
+  const entry = generator.names[generator.selected];
+  if (entry) {
+    const template = window.NameGenerator.buildInfoTemplate(entry);
+
+    const preview = document.createElement('textarea');
+    preview.className = 'names-template';
+    preview.readOnly = true;
+    preview.rows = 8;
+    preview.value = template;
+    preview.setAttribute('aria-label', `info.txt for ${entry.name}`);
+    panel.appendChild(preview);
+
+    const actions = document.createElement('div');
+    actions.className = 'names-actions';
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.textContent = 'Copy name';
+    copy.addEventListener('click', () => {
+      copyToClipboard(entry.name);
+      showToast(`${entry.name} copied to clipboard`, 'success', 2000);
+    });
+
+    const download = document.createElement('button');
+    download.type = 'button';
+    download.textContent = 'Download info.txt';
+    download.title = `Save it as database/…/${entry.name}/info.txt`;
+    download.addEventListener('click', () => downloadText(template, 'info.txt'));
+
+    actions.append(copy, download);
+    panel.appendChild(actions);
+  }
+
+  if (focusName) panel.querySelector(`[name="${focusName}"]`)?.focus();
+}
+
+// ===== COMPARE VIEW =====
+
+/**
+ * Rows of the compare view and the info.txt headings they are taken from
+ * (English and Czech); rows no compared entry has are left out
+ */
+const COMPARE_SECTIONS = [
+  { label: 'Origin', headings: ['Place of Origin', 'Město'] },
+  { label: 'Magic', headings: ['Magic', 'Magie'] },
+  { label: 'Strengths', headings: ['Strengths', 'Silné stránky'] },
+  { label: 'Weaknesses', headings: ['Weaknesses'] },
+  { label: 'Family', headings: ['Family'] },
+  { label: 'Recommended abilities', headings: ['Recommended Abilities', 'Doporučené schopnosti'] }
+];
+
+/**
+ * Get the entries being compared
+ * @returns {Array<Object>} Manifest items, in the order they were added
+ */
+function getComparedItems() {
+  return state.compare.map(getItemById).filter(Boolean);
+}
+
+/**
+ * Check whether an item is in the comparison
+ * @param {Object} item - Manifest item
+ * @returns {boolean}
+ */
+function isCompared(item) {
+  return state.compare.includes(item.id);
+}
+
+/**
+ * Add an item to the comparison, or take it out
+ * @param {Object} item - Manifest item
+ */
+function toggleCompare(item) {
+  if (isCompared(item)) {
+    state.compare = state.compare.filter(id => id !== item.id);
+    if (state.compare.length === 0) state.compareOpen = false;
+  } else if (state.compare.length >= CONFIG.maxCompared) {
+    showToast(`You can compare up to ${CONFIG.maxCompared} entries at once`, 'info', 3000);
+    return;
+  } else {
+    state.compare = [...state.compare, item.id];
+  }
+
+  updateUI();
+  if (state.showSearchDropdown) renderSearchResults();
+}
+
+/**
+ * Show or hide the compare view
+ * @param {boolean} open - True to show the comparison
  */
-function selectSearchResult(index) {
-  const result = state.searchResults[index];
-  
-  if (!result) return;
-  
-  // Navigate to the result
-  if (result.type === 'item') {
-    state.currentCategory = result.categoryIndex;
-    state.currentSubcategory = result.subcategoryIndex;
-    state.currentItem = result.itemIndex;
-  } else if (result.type === 'subcategory') {
-    state.currentCategory = result.categoryIndex;
-    state.currentSubcategory = result.subcategoryIndex;
-    // Check if subcategory has items
-    const category = state.manifest.categories[result.categoryIndex];
-    const subcategory = category?.subcategories?.[result.subcategoryIndex];
-    if (subcategory?.items && subcategory.items.length > 0) {
-      state.currentItem = 0;
-    } else {
-      state.currentItem = -1; // No items available
-    }
-  }
-  
-  // Clear search
-  state.searchQuery = '';
-  state.searchResults = [];
-  state.showSearchDropdown = false;
-  elements.searchInput.value = '';
-  
-  // Update UI
+function setCompareOpen(open) {
+  state.compareOpen = open && state.compare.length > 0;
   updateUI();
-  renderSearchResults();
-  
-  // Scroll to top
-  if (elements.mainContent) {
-    document.getElementById('main').scrollTop = 0;
-  }
 }
 
 /**
- * Handle search input
- * @param {string} query - Search query
+ * Normalise a section entry for matching across entries
+ * @param {string} text - Entry text
+ * @returns {string} Folded text without a trailing parenthesised note
  */
-function handleSearch(query) {
-  state.searchQuery = query;
-  searchAllDatabase(query);
+function getCompareKey(text) {
+  return window.EntrySearch.fold(text.replace(/\s*\([^)]*\)\s*$/, '')).trim();
 }
 
 /**
- * Navigate search results with keyboard
- * @param {number} direction - -1 for up, 1 for down
+ * Create the add/remove comparison button shown on grid tiles and search results
+ * @param {Object} item - Manifest item
+ * @param {string} className - Button class
+ * @returns {HTMLButtonElement}
  */
-function navigateSearchResults(direction) {
-  if (state.searchResults.length === 0) return;
-  
-  state.searchSelectedIndex += direction;
-  
-  if (state.searchSelectedIndex < 0) {
-    state.searchSelectedIndex = state.searchResults.length - 1;
-  } else if (state.searchSelectedIndex >= state.searchResults.length) {
-    state.searchSelectedIndex = 0;
-  }
-  
-  renderSearchResults();
-  
-  // Scroll selected item into view
-  const selected = elements.searchResults.querySelector('.search-result-item.selected');
-  if (selected) {
-    selected.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-  }
+function createCompareButton(item, className) {
+  const compared = isCompared(item);
+  const label = compared ? `Remove ${item.name} from comparison` : `Compare ${item.name}`;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = compared ? `${className} compared` : className;
+  button.setAttribute('aria-label', label);
+  button.setAttribute('aria-pressed', compared ? 'true' : 'false');
+  button.title = label;
+  button.innerHTML = '<i class="fas fa-scale-balanced" aria-hidden="true"></i>';
+  button.addEventListener('click', (e) => {
+    e.stopPropagation(); // Keep the tile or search result from opening the entry
+    toggleCompare(item);
+  });
+  return button;
 }
 
 /**
- * Show search results count (DEPRECATED)
+ * Render the tray listing the entries picked for comparison
+ * Hidden while the comparison itself is shown.
  */
-function showSearchResults(found, total) {
-  // Search now uses dropdown, this is no longer needed
-  return;
+function renderCompareTray() {
+  const tray = elements.compareTray;
+  if (!tray) return;
+  tray.innerHTML = '';
+
+  const items = getComparedItems();
+  tray.hidden = items.length === 0 || state.compareOpen;
+  if (tray.hidden) return;
+
+  const title = document.createElement('span');
+  title.className = 'compare-tray-title';
+  title.textContent = 'Compare:';
+  tray.appendChild(title);
+
+  items.forEach(item => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'compare-chip';
+    chip.textContent = `${item.name} ×`;
+    chip.setAttribute('aria-label', `Remove ${item.name} from comparison`);
+    chip.addEventListener('click', () => toggleCompare(item));
+    tray.appendChild(chip);
+  });
+
+  const open = document.createElement('button');
+  open.type = 'button';
+  open.className = 'compare-open';
+  open.textContent = items.length < 2 ? 'Pick one more to compare' : `Compare ${items.length}`;
+  open.disabled = items.length < 2;
+  open.addEventListener('click', () => setCompareOpen(true));
+  tray.appendChild(open);
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'compare-clear';
+  clear.textContent = 'Clear';
+  clear.addEventListener('click', () => {
+    state.compare = [];
+    updateUI();
+  });
+  tray.appendChild(clear);
 }
 
-// ===== BREADCRUMB NAVIGATION (DEPRECATED) =====
+/**
+ * Render the compare view: one column per entry, one row per section, with
+ * values that several entries share and values only one entry has marked
+ */
+function renderCompareView() {
+  const view = elements.compareView;
+  if (!view) return;
+
+  const items = getComparedItems();
+  const open = state.compareOpen && items.length > 0;
+  elements.content.classList.toggle('comparing', open);
+  view.hidden = !open;
+  view.innerHTML = '';
+  if (!open) return;
+
+  const header = document.createElement('div');
+  header.className = 'compare-header';
+
+  const title = document.createElement('h2');
+  title.textContent = `Comparing ${items.length} ${items.length === 1 ? 'entry' : 'entries'}`;
+  header.appendChild(title);
+
+  const copy = document.createElement('button');
+  copy.type = 'button';
+  copy.innerHTML = '<i class="fas fa-link" aria-hidden="true"></i> Copy link';
+  copy.addEventListener('click', () => {
+    copyToClipboard(new URL(getRouteHash(), window.location.href).href);
+    showToast('Link to this comparison copied to clipboard!', 'success', 2000);
+  });
+  header.appendChild(copy);
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.innerHTML = '<i class="fas fa-xmark" aria-hidden="true"></i> Close';
+  close.addEventListener('click', () => setCompareOpen(false));
+  header.appendChild(close);
+  view.appendChild(header);
+
+  // Fetch details on first view, then re-render if the comparison is still shown
+  const pending = items.filter(item => !hasDetails(item));
+  if (pending.length > 0) {
+    const loadingDiv = document.createElement('div');
+    loadingDiv.className = 'image-loading';
+    loadingDiv.innerHTML = '<div class="spinner">⏳</div><p>Loading details...</p>';
+    view.appendChild(loadingDiv);
+
+    Promise.all(pending.map(item => loadItemDetails(item)))
+      .then(() => {
+        if (state.compareOpen) renderCompareView();
+      })
+      .catch(error => {
+        console.error('Failed to load item details:', error);
+        loadingDiv.remove();
+        showEmptyState(view, 'Failed to load details. Please try again.');
+      });
+    return;
+  }
+
+  const contents = items.map(item => getItemContent(item));
+  const rows = COMPARE_SECTIONS
+    .map(({ label, headings }) => ({
+      label,
+      cells: contents.map(content => headings.flatMap(heading => content.sections[heading] || []))
+    }))
+    .filter(row => row.cells.some(entries => entries.length > 0));
+
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('td'));
+  items.forEach(item => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    if (isGmOnly(item)) th.classList.add('secret');
+
+    if (item.avatar) {
+      const avatar = document.createElement('img');
+      avatar.src = item.avatar;
+      avatar.alt = '';
+      setImageDimensions(avatar, item.avatarMeta);
+      th.appendChild(avatar);
+    }
+
+    const name = document.createElement('div');
+    name.className = 'compare-name';
+    name.appendChild(createEntryLink(item.id, item.name));
+    th.appendChild(name);
+
+    const location = state.entryIndex.get(item.id);
+    if (location) {
+      const group = document.createElement('div');
+      group.className = 'compare-group';
+      group.textContent = getDisplayName(state.manifest.categories[location.categoryIndex]
+        .subcategories[location.subcategoryIndex]);
+      th.appendChild(group);
+    }
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'compare-remove';
+    remove.textContent = '×';
+    remove.title = `Remove ${item.name} from comparison`;
+    remove.setAttribute('aria-label', remove.title);
+    remove.addEventListener('click', () => toggleCompare(item));
+    th.appendChild(remove);
+
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach(({ label, cells }) => {
+    // How many entries list each value in this row
+    const counts = new Map();
+    cells.forEach(entries => {
+      new Set(entries.map(entry => getCompareKey(entry.text)))
+        .forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    tr.appendChild(th);
+
+    cells.forEach((entries, index) => {
+      const td = document.createElement('td');
+      if (contents[index].language) td.lang = contents[index].language;
+
+      const list = document.createElement('ul');
+      entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.textContent = entry.text;
+        if (items.length > 1) {
+          li.classList.add(counts.get(getCompareKey(entry.text)) > 1 ? 'compare-shared' : 'compare-unique');
+        }
+        if (entry.secret) li.classList.add('secret');
+        list.appendChild(li);
+      });
+      td.appendChild(list);
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  const scroller = document.createElement('div');
+  scroller.className = 'compare-scroller';
+  scroller.appendChild(table);
+  view.appendChild(scroller);
+
+  if (items.length > 1) {
+    const legend = document.createElement('p');
+    legend.className = 'compare-legend';
+    const shared = document.createElement('span');
+    shared.className = 'compare-shared';
+    shared.textContent = 'shared';
+    const unique = document.createElement('span');
+    unique.className = 'compare-unique';
+    unique.textContent = 'only this entry';
+    legend.append(shared, ' ', unique);
+    view.appendChild(legend);
+  }
+}
 
 /**
- * Render breadcrumb navigation (DEPRECATED - hidden)
+ * Apply a compare route to state
+ * @param {string} route - Entry IDs joined by "+"
  */
-function renderBreadcrumb() {
-  // Breadcrumbs are hidden for now
-  return;
+function parseCompareRoute(route) {
+  state.compare = [...new Set(route.split('+'))]
+    .filter(id => getItemById(id))
+    .slice(0, CONFIG.maxCompared);
+  state.compareOpen = state.compare.length > 0;
 }
 
 // ===== SHARE FUNCTIONALITY =====
@@ -1334,13 +4583,16 @@ function shareCharacter() {
   const item = getCurrentItem();
   if (!item) return;
   
-  const category = state.manifest.categories[state.currentCategory].name;
-  const subcategory = state.manifest.categories[state.currentCategory]
-    .subcategories[state.currentSubcategory].name;
-  
-  const url = window.location.href;
-  const title = `${item.name} - ${category}`;
-  const text = `Check out ${item.name} from ${subcategory} in the Academy of Heroes database!`;
+  // Take the category from the entry itself: Favorites and collection views have none.
+  const location = state.entryIndex.get(item.id);
+  const category = location && state.manifest.categories[location.categoryIndex];
+  const subcategory = category && category.subcategories[location.subcategoryIndex];
+
+  const url = getShareUrl(item);
+  const title = category ? `${item.name} - ${getDisplayName(category)}` : item.name;
+  const text = subcategory
+    ? `Check out ${item.name} from ${getDisplayName(subcategory)} in the Academy of Heroes database!`
+    : `Check out ${item.name} in the Academy of Heroes database!`;
   
   // Try native share API first (mobile)
   if (navigator.share) {
@@ -1356,6 +4608,18 @@ function shareCharacter() {
   }
 }
 
+/**
+ * Get the URL to share for an item
+ * Builds with static entry pages (see scripts/lib/pages.js) share those, so
+ * link previews show the entry; otherwise the current hash URL.
+ * @param {Object} item - Manifest item
+ * @returns {string} Absolute URL
+ */
+function getShareUrl(item) {
+  if (!state.manifest.entryPages) return window.location.href;
+  return new URL(`${state.manifest.entryPages}${item.id}/`, document.baseURI).href;
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -1385,15 +4649,237 @@ function showShareTooltip(message) {
   showToast(message, 'success', 2000);
 }
 
+// ===== OFFLINE (SERVICE WORKER) =====
+
+/**
+ * Register the service worker (sw.js) that keeps the site usable offline
+ * Only the player build registers it: the GM view is served from a working
+ * copy, where cached files would hide edits until a second reload.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || state.gmMode || !/^https?:$/.test(window.location.protocol)) {
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+  navigator.serviceWorker.register('sw.js')
+    .then(() => navigator.serviceWorker.ready)
+    .then(() => {
+      if (elements.offlineButton) elements.offlineButton.hidden = false;
+    })
+    .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+/**
+ * React to messages from the service worker
+ * @param {MessageEvent} event - Message (see the comment at the top of sw.js)
+ */
+function handleServiceWorkerMessage(event) {
+  const message = event.data || {};
+
+  if (message.type === 'content-updated') {
+    showUpdateToast();
+  } else if (message.type === 'download-progress') {
+    renderOfflineProgress(message.done, message.total);
+  } else if (message.type === 'download-done') {
+    renderOfflineProgress(null);
+    if (message.failed === 0) {
+      showToast('Everything is saved for offline use', 'success', 3000);
+    } else if (message.failed > 0) {
+      showToast(`${message.failed} files could not be saved for offline use. Try again later.`, 'warning', 5000);
+    } else {
+      showToast('Offline download failed. Please try again.', 'error', 5000);
+    }
+  }
+}
+
+/**
+ * Tell the user a newer database was downloaded (once per page load)
+ */
+function showUpdateToast() {
+  if (state.updateAvailable) return;
+  state.updateAvailable = true;
+
+  const toast = showToast('New content available — reload to see it', 'info', 0);
+  if (!toast) return;
+
+  const reload = document.createElement('button');
+  reload.type = 'button';
+  reload.className = 'toast-action';
+  reload.textContent = 'Reload';
+  reload.addEventListener('click', () => window.location.reload());
+  toast.querySelector('.toast-close').before(reload);
+}
+
+/**
+ * Add up the size of every image the manifest lists
+ * @returns {number} Bytes (detail and search files are not included)
+ */
+function getOfflineImageBytes() {
+  let bytes = 0;
+  state.manifest.categories.forEach(category => {
+    category.subcategories.forEach(subcategory => {
+      bytes += subcategory.thumbnailMeta?.bytes || 0;
+      subcategory.items.forEach(item => {
+        bytes += (item.avatarMeta?.bytes || 0) + (item.imageMeta?.bytes || 0);
+      });
+    });
+  });
+  return bytes;
+}
+
+/**
+ * Ask the service worker to cache every entry and image
+ */
+async function downloadForOffline() {
+  const megabytes = Math.max(1, Math.round(getOfflineImageBytes() / (1024 * 1024)));
+  if (!window.confirm(`Save every entry and image (about ${megabytes} MB) in this browser for offline use?`)) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    renderOfflineProgress(0, 0);
+    registration.active.postMessage({ type: 'download-all' });
+  } catch (error) {
+    console.error('Offline download failed:', error);
+    showToast('Offline download failed. Please try again.', 'error', 5000);
+  }
+}
+
+/**
+ * Show download progress on the offline button
+ * @param {number|null} done - Files saved so far, or null when finished
+ * @param {number} [total] - Files to save (0 while still counting)
+ */
+function renderOfflineProgress(done, total) {
+  const button = elements.offlineButton;
+  if (!button) return;
+
+  const progress = button.querySelector('.offline-progress');
+  const running = done !== null;
+  const percent = running && total > 0 ? Math.floor((done / total) * 100) : 0;
+
+  button.disabled = running;
+  button.setAttribute('aria-busy', running ? 'true' : 'false');
+  button.title = running ? `Saving for offline use… ${percent}%` : 'Save everything for offline use';
+  if (progress) progress.textContent = running ? `${percent}%` : '';
+}
+
 // ===== URL ROUTING (HASH-BASED) =====
 
 /**
  * Parse URL hash and update state
+ * Accepts ID routes (`#/characters/male-1st-years/finn-of-sparta`,
+ * `#/favorites/<item id>`, `#/compare/<id>+<id>`) and legacy index routes
+ * (`#0/1/2`). Legacy routes are rewritten to ID routes by the next
+ * updateUrlHash().
  */
 function parseUrlHash() {
   const hash = window.location.hash.slice(1); // Remove '#'
-  if (!hash) return;
+  state.compareOpen = false;
+  if (!hash) {
+    // Static entry pages (entry/<id>/index.html) name their entry in a meta tag
+    const entry = document.querySelector('meta[name="aoh-entry"]');
+    if (entry) parseRouteHash(entry.content);
+    return;
+  }
+
+  if (hash.startsWith('/')) {
+    // Filters follow the route as a query: #/<id>?magic=Energy&scope=all
+    const [route, query = ''] = hash.split('?');
+    parseFilterQuery(query);
+    parseRouteHash(decodeURIComponent(route.slice(1)));
+  } else {
+    parseLegacyHash(hash);
+  }
+}
+
+/**
+ * Apply an ID route to state
+ * @param {string} route - Route without leading "#/"
+ */
+function parseRouteHash(route) {
+  const path = route.replace(/\/+$/, '');
+
+  if (path === 'favorites' || path.startsWith('favorites/')) {
+    parseFavoritesRoute(path.slice('favorites/'.length));
+    return;
+  }
+
+  if (path === 'compare' || path.startsWith('compare/')) {
+    parseCompareRoute(path.slice('compare/'.length));
+    return;
+  }
+
+  const location = state.entryIndex.get(path);
+  if (!location) {
+    console.warn(`Unknown route: #/${route}`);
+    return;
+  }
+
+  const category = state.manifest.categories[location.categoryIndex];
+  state.currentCategory = location.categoryIndex;
+
+  // Category route: open its first subcategory, like selectCategory()
+  let subIndex = location.subcategoryIndex;
+  if (subIndex < 0) {
+    subIndex = category.subcategories && category.subcategories.length > 0 ? 0 : -1;
+  }
+  state.currentSubcategory = subIndex;
+
+  // Subcategory route: open its first item, like selectSubcategory()
+  let itemIndex = location.itemIndex;
+  if (itemIndex < 0 && subIndex >= 0) {
+    const items = category.subcategories[subIndex].items;
+    itemIndex = items && items.length > 0 ? 0 : -1;
+  }
+
+  // Filtered views list other items, so look the entry up among them
+  if (isFilteredView()) {
+    const item = location.itemIndex >= 0 ? category.subcategories[subIndex].items[location.itemIndex] : null;
+    const items = getFilteredItems();
+    itemIndex = Math.max(items.indexOf(item), items.length > 0 ? 0 : -1);
+  }
+  state.currentItem = itemIndex;
+}
+
+/**
+ * Apply a Favorites route to state
+ * @param {string} route - `<collection id>/<item id>`, `<collection id>`,
+ *   or `<item id>` (links from before collections: the first collection
+ *   holding the item)
+ */
+function parseFavoritesRoute(route) {
+  const slash = route.indexOf('/');
+  let collectionIndex = state.collections.findIndex(collection =>
+    collection.id === (slash >= 0 ? route.slice(0, slash) : route));
+  let itemId = route;
+
+  if (collectionIndex >= 0) {
+    itemId = slash >= 0 ? route.slice(slash + 1) : '';
+  } else {
+    collectionIndex = Math.max(0, state.collections.findIndex(collection =>
+      collection.items.some(fav => fav.id === itemId)));
+  }
+
+  const collection = state.collections[collectionIndex];
+  state.currentCategory = -1;
+  state.currentSubcategory = collection ? collectionIndex : -1;
+  state.currentItem = -1;
 
+  if (collection) {
+    const itemIndex = collection.items.findIndex(fav => fav.id === itemId);
+    state.currentItem = itemIndex >= 0 ? itemIndex : (collection.items.length > 0 ? 0 : -1);
+    state.expandedCollections.add(collection.id);
+  }
+}
+
+/**
+ * Apply a legacy `#cat/subcat/item` index route to state
+ * @param {string} hash - Hash without leading "#"
+ */
+function parseLegacyHash(hash) {
   const [cat, subcat, item] = hash.split('/').map(Number);
 
   try {
@@ -1430,12 +4916,42 @@ function parseUrlHash() {
   }
 }
 
+/**
+ * Build the ID route for the current state
+ * @returns {string} Hash including leading "#/"
+ */
+function getRouteHash() {
+  if (state.compareOpen) {
+    return `#/compare/${state.compare.join('+')}`;
+  }
+
+  if (state.currentCategory === -1) {
+    const collection = getCurrentCollection();
+    if (!collection) return '#/favorites';
+    const fav = collection.items[state.currentItem];
+    return `#/favorites/${collection.id}${fav ? `/${fav.id}` : ''}`;
+  }
+
+  const category = state.manifest.categories[state.currentCategory];
+  if (!category) return '';
+
+  const subcategory = category.subcategories?.[state.currentSubcategory];
+
+  if (isFilteredView()) {
+    return `#/${(getCurrentItem() || subcategory || category).id}?${getFilterQuery()}`;
+  }
+
+  const item = subcategory?.items?.[state.currentItem];
+
+  return `#/${(item || subcategory || category).id}`;
+}
+
 /**
  * Update URL hash based on current state
  */
 function updateUrlHash() {
-  const hash = `#${state.currentCategory}/${state.currentSubcategory}/${state.currentItem}`;
-  if (window.location.hash !== hash) {
+  const hash = getRouteHash();
+  if (hash && window.location.hash !== hash) {
     history.replaceState(null, '', hash);
   }
 }
@@ -1459,6 +4975,58 @@ function setupEventListeners() {
     });
   }
   
+  // Offline download (shown once the service worker is ready)
+  if (elements.offlineButton) {
+    elements.offlineButton.addEventListener('click', downloadForOffline);
+  }
+  
+  // Print and export menus, random roster and name generator panels
+  [
+    [elements.printButton, elements.printMenu, renderPrintMenu],
+    [elements.exportButton, elements.exportMenu, renderExportMenu],
+    [elements.rosterButton, elements.rosterPanel, renderRosterPanel],
+    [elements.namesButton, elements.namesPanel, renderNamesPanel]
+  ].forEach(([button, menu, render]) => {
+    if (!button || !menu) return;
+    
+    button.addEventListener('click', () => toggleActionMenu(button, menu, render));
+    
+    // Targets re-rendered by their own click handler are no longer in the menu
+    document.addEventListener('click', (e) => {
+      if (!menu.hidden && e.target.isConnected && !menu.contains(e.target) && !button.contains(e.target)) {
+        toggleActionMenu(button, menu, render, false);
+      }
+    });
+    
+    menu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        toggleActionMenu(button, menu, render, false);
+        button.focus();
+      }
+    });
+  });
+  
+  // Collection menu (opened by pin buttons)
+  if (elements.collectionMenu) {
+    document.addEventListener('click', (e) => {
+      if (!elements.collectionMenu.hidden && !elements.collectionMenu.contains(e.target) &&
+          !e.target.closest('.pin-icon')) {
+        closeCollectionMenu();
+      }
+    });
+    
+    elements.collectionMenu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeCollectionMenu();
+    });
+  }
+  
+  // Content language
+  if (elements.languageSelect) {
+    elements.languageSelect.addEventListener('change', (e) => {
+      setLanguage(e.target.value);
+    });
+  }
+  
   // Search input
   if (elements.searchInput) {
     let searchTimeout;
@@ -1470,6 +5038,11 @@ function setupEventListeners() {
       }, 300); // Debounce 300ms
     });
     
+    // Start fetching the search index as soon as the user heads for search
+    elements.searchInput.addEventListener('focus', () => {
+      loadSearchIndex();
+    }, { once: true });
+    
     // Keyboard navigation in search
     elements.searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -1524,8 +5097,22 @@ function handleKeyboardNavigation(event) {
     return;
   }
 
+  // The grid is hidden behind the compare view; Escape goes back to it
+  if (state.compareOpen) {
+    if (event.key === 'Escape') setCompareOpen(false);
+    return;
+  }
+
   const items = getCurrentItems();
 
+  // Shift+←/→ moves the selected entry within a collection
+  if (event.shiftKey && getCurrentCollection() && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+    event.preventDefault();
+    moveFavorite(state.currentItem, state.currentItem + (event.key === 'ArrowLeft' ? -1 : 1));
+    focusItem(state.currentItem);
+    return;
+  }
+
   switch (event.key) {
     case 'ArrowLeft':
       if (state.currentItem > 0) {
@@ -0,0 +1,32 @@
+/**
+ * Academy of Heroes - Asset URLs
+ * Image URLs carry the file's content hash (`?v=<hash>`, see
+ * scripts/lib/image-info.js) so browsers refetch an image only when an artist
+ * replaces it. Shared by the front end (js/app.js, as `window.AssetUrls`) and
+ * the service worker (sw.js, via importScripts), so the worker caches images
+ * under the very URLs the page requests.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AssetUrls = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Add an image's content hash to its path
+   * @param {string|null} path - Image path from the manifest
+   * @param {Object|null} meta - Its metadata (`{ hash, … }`), if known
+   * @returns {string|null} `path?v=<hash>`, or the path unchanged without a hash
+   */
+  function versionedUrl(path, meta) {
+    return path && meta && meta.hash ? `${path}?v=${meta.hash}` : path;
+  }
+
+  return {
+    versionedUrl
+  };
+}));
@@ -0,0 +1,269 @@
+/**
+ * Academy of Heroes - Info Text Markup
+ * A small Markdown subset for info files, parsed into plain objects. The
+ * front end (js/app.js, as `window.InfoMarkup`) builds DOM nodes from them
+ * without ever using innerHTML; the generator (scripts/lib/info-parser.js,
+ * via require) uses the same rules to strip markup from sections, excerpts
+ * and search text.
+ *
+ * Blocks, one per line unless noted:
+ *   # Title / ## Title / ### Title      heading
+ *   Place of Origin:                    heading (the classic form)
+ *   Role: Librarian, Expert             label with inline values
+ *   ●/•/* item, + item, - item, 1. item list item (+ strength, - weakness)
+ *   > quote                             blockquote (consecutive lines)
+ *   other lines                         paragraph (until a blank line)
+ *
+ * Inline:
+ *   **bold**, __bold__, *italic*, _italic_
+ *   [label](https://…)                  external link (http, https, mailto)
+ *   [label](#/characters/…)             link to another entry by ID
+ *   ![alt](map.jpg)                     image stored in the entry's folder
+ *   \*                                  literal character
+ *
+ * `[[target|label]]` entry links and `[GM]` secrets are handled before this
+ * parser runs (see lib/links.js and lib/info-parser.js).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.InfoMarkup = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const HEADING_MD_RE = /^(#{1,3})\s+(.+?)\s*#*$/;
+  const HEADING_RE    = /^([^:●•+\-–*>#!\[\s][^:[\]]{0,48}?):(?!\/\/)\s*(.*)$/;
+  const BULLET_RE     = /^([●•*+\-–])\s+(.*)$/;
+  const ORDERED_RE    = /^(\d{1,3})[.)]\s+(.*)$/;
+  const QUOTE_RE      = /^>\s?(.*)$/;
+
+  // inline tokens, tried left to right; the first match wins
+  const INLINE_RE = new RegExp([
+    '\\\\([\\\\*_\\[\\]()#>!`+-])',                                  // 1 escape
+    '!\\[([^\\]]*)\\]\\(([^)\\s]+)\\)',                              // 2,3 image
+    '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',                               // 4,5 link
+    '\\*\\*(?!\\s)(.+?)(?<!\\s)\\*\\*',                              // 6 bold
+    '(?<![\\p{L}\\p{N}_])__(?!\\s)(.+?)(?<!\\s)__(?![\\p{L}\\p{N}_])', // 7 bold
+    '\\*(?![\\s*])(.+?)(?<![\\s*])\\*',                              // 8 italic
+    '(?<![\\p{L}\\p{N}_])_(?![\\s_])(.+?)(?<![\\s_])_(?![\\p{L}\\p{N}_])' // 9 italic
+  ].join('|'), 'gu');
+
+  const SAFE_HREF_RE  = /^(?:https?:\/\/|mailto:)[^\s"'<>]+$/i;
+  const ENTRY_HREF_RE = /^#\/([a-z0-9][a-z0-9/-]*)$/;
+  const LOCAL_SRC_RE  = /^[^\s"'<>?#:/\\]+\.(?:avif|gif|jpe?g|png|svg|webp)$/i;
+
+  /**
+   * Classify a link target
+   * @param {string} href - Target as written
+   * @returns {{kind: 'external'|'entry', href: string}|null} Safe target, or
+   *   null for anything else (javascript:, data:, relative paths…)
+   */
+  function resolveHref(href) {
+    const entry = href.match(ENTRY_HREF_RE);
+    if (entry) return { kind: 'entry', href: entry[1] };
+    if (SAFE_HREF_RE.test(href)) return { kind: 'external', href };
+    return null;
+  }
+
+  /**
+   * Check an image source: only image files next to the info file are
+   * allowed (the site's CSP blocks other hosts anyway)
+   * @param {string} src - Source as written
+   * @returns {boolean} True for a bare file name such as "map.jpg"
+   */
+  function isLocalImage(src) {
+    return LOCAL_SRC_RE.test(src);
+  }
+
+  /**
+   * Parse inline markup
+   * @param {string} text - One line (or a paragraph of lines) of text
+   * @returns {Array<Object>} Nodes:
+   *   `{ type: 'text', text }`, `{ type: 'strong'|'em', children }`,
+   *   `{ type: 'link', kind, href, children }`, `{ type: 'image', src, alt }`
+   */
+  function parseInline(text) {
+    const nodes = [];
+    let last = 0;
+
+    const pushText = value => {
+      if (!value) return;
+      const prev = nodes[nodes.length - 1];
+      if (prev && prev.type === 'text') prev.text += value;
+      else nodes.push({ type: 'text', text: value });
+    };
+
+    for (const match of text.matchAll(INLINE_RE)) {
+      pushText(text.slice(last, match.index));
+      last = match.index + match[0].length;
+
+      if (match[1] !== undefined) {
+        pushText(match[1]);
+      } else if (match[3] !== undefined) {
+        if (isLocalImage(match[3])) nodes.push({ type: 'image', src: match[3], alt: match[2] });
+        else pushText(match[2]);
+      } else if (match[5] !== undefined) {
+        const target = resolveHref(match[5]);
+        if (target) nodes.push({ type: 'link', kind: target.kind, href: target.href, children: parseInline(match[4]) });
+        else nodes.push(...parseInline(match[4]));
+      } else if (match[6] !== undefined || match[7] !== undefined) {
+        nodes.push({ type: 'strong', children: parseInline(match[6] || match[7]) });
+      } else {
+        nodes.push({ type: 'em', children: parseInline(match[8] || match[9]) });
+      }
+    }
+    pushText(text.slice(last));
+
+    return nodes;
+  }
+
+  /**
+   * Plain text of inline markup
+   * @param {string} text - Text with inline markup
+   * @returns {string} Text with markers removed (images become their alt text)
+   */
+  function stripInline(text) {
+    const flatten = nodes => nodes.map(node => {
+      if (node.type === 'text')  return node.text;
+      if (node.type === 'image') return node.alt;
+      return flatten(node.children);
+    }).join('');
+    return flatten(parseInline(text));
+  }
+
+  /**
+   * Classify one trimmed line
+   * @param {string} line - Trimmed, non-empty line
+   * @returns {Object} `{ kind: 'heading'|'field'|'item'|'quote'|'text', … }`
+   *   with the raw `text` (and `level`, `label`, `marker`, `ordered`)
+   */
+  function classifyLine(line) {
+    let match = line.match(HEADING_MD_RE);
+    if (match) return { kind: 'heading', level: match[1].length, text: match[2] };
+
+    match = line.match(BULLET_RE);
+    if (match) {
+      const marker = match[1] === '+' ? '+' : /[-–]/.test(match[1]) ? '-' : '●';
+      return { kind: 'item', ordered: false, marker, text: match[2] };
+    }
+
+    match = line.match(ORDERED_RE);
+    if (match) return { kind: 'item', ordered: true, marker: match[1], text: match[2] };
+
+    match = line.match(QUOTE_RE);
+    if (match) return { kind: 'quote', text: match[1] };
+
+    match = line.match(HEADING_RE);
+    if (match) {
+      return match[2]
+        ? { kind: 'field', label: match[1].trim(), text: match[2] }
+        : { kind: 'heading', level: 1, text: match[1].trim(), classic: true };
+    }
+
+    return { kind: 'text', text: line };
+  }
+
+  /**
+   * Parse text into blocks
+   * @param {string} text - Info text (no `[GM]` markup)
+   * @returns {Array<Object>} Blocks:
+   *   `{ type: 'heading', level, children }`
+   *   `{ type: 'field', label, children }`
+   *   `{ type: 'list', ordered, items: [{ marker, children }] }`
+   *   `{ type: 'quote', paragraphs: [[line nodes…]…] }`
+   *   `{ type: 'paragraph', lines: [[nodes…]…] }`
+   *   Classic `Heading:` lines are level 1, like `# Heading`.
+   */
+  function parseBlocks(text) {
+    const blocks = [];
+    let open = null;
+
+    (text || '').split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) {
+        open = null;
+        return;
+      }
+
+      const info = classifyLine(line);
+
+      if (info.kind === 'item') {
+        if (!open || open.type !== 'list' || open.ordered !== info.ordered) {
+          open = { type: 'list', ordered: info.ordered, items: [] };
+          blocks.push(open);
+        }
+        open.items.push({ marker: info.marker, children: parseInline(info.text) });
+        return;
+      }
+
+      if (info.kind === 'quote') {
+        if (!open || open.type !== 'quote') {
+          open = { type: 'quote', paragraphs: [[]] };
+          blocks.push(open);
+        }
+        const paragraph = open.paragraphs[open.paragraphs.length - 1];
+        if (info.text) paragraph.push(parseInline(info.text));
+        else if (paragraph.length > 0) open.paragraphs.push([]);
+        return;
+      }
+
+      if (info.kind === 'text') {
+        if (!open || open.type !== 'paragraph') {
+          open = { type: 'paragraph', lines: [] };
+          blocks.push(open);
+        }
+        open.lines.push(parseInline(info.text));
+        return;
+      }
+
+      open = null;
+      if (info.kind === 'heading') {
+        blocks.push({ type: 'heading', level: info.level, children: parseInline(info.text) });
+      } else {
+        blocks.push({ type: 'field', label: info.label, children: parseInline(info.text) });
+      }
+    });
+
+    // drop empty paragraphs left by trailing ">" lines
+    blocks.forEach(block => {
+      if (block.type === 'quote') block.paragraphs = block.paragraphs.filter(p => p.length > 0);
+    });
+
+    return blocks;
+  }
+
+  /**
+   * List the local images an info text refers to
+   * @param {string} text - Info text
+   * @returns {string[]} Relative paths, in order, without duplicates
+   */
+  function findImages(text) {
+    const images = [];
+    const visit = nodes => nodes.forEach(node => {
+      if (node.type === 'image' && !images.includes(node.src)) images.push(node.src);
+      if (node.children) visit(node.children);
+    });
+
+    parseBlocks(text).forEach(block => {
+      if (block.children) visit(block.children);
+      if (block.items) block.items.forEach(item => visit(item.children));
+      if (block.lines) block.lines.forEach(visit);
+      if (block.paragraphs) block.paragraphs.forEach(p => p.forEach(visit));
+    });
+
+    return images;
+  }
+
+  return {
+    classifyLine,
+    findImages,
+    isLocalImage,
+    parseBlocks,
+    parseInline,
+    resolveHref,
+    stripInline
+  };
+}));
@@ -0,0 +1,223 @@
+/**
+ * Academy of Heroes - Name Generator
+ * Builds new "Given name of City" names (Zopyros of Miletus, Lyra of Rhodes)
+ * from bundled Greek given names and the cities the database already knows.
+ * Shared by the front end's name dialog (js/app.js, as
+ * `window.NameGenerator`) and the command line (scripts/generate_names.js,
+ * via require); both pass in the manifest.
+ *
+ * Cities come from the Locations category and from "Place of Origin"
+ * values. A translated spelling ("Athény") gives way to the city in the
+ * entry's own name ("Sofronios of Athens"), and prose that is not a place
+ * name is skipped.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NameGenerator = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const GIVEN_NAMES = {
+    male: [
+      'Agathon', 'Aischylos', 'Alkimos', 'Amyntas', 'Anaxagoras', 'Androkles', 'Antiochos', 'Archelaos',
+      'Aristeides', 'Autolykos', 'Bion', 'Charilaos', 'Chares', 'Damon', 'Demades', 'Dexios',
+      'Diokles', 'Dion', 'Dorotheos', 'Eirenaios', 'Epaphras', 'Euagoras', 'Eudoxos', 'Eumenes',
+      'Euthymios', 'Glaukos', 'Hagnon', 'Hektor', 'Hermippos', 'Hipparchos', 'Iason', 'Iphikrates',
+      'Isandros', 'Kallikrates', 'Kleitos', 'Kleon', 'Konon', 'Krates', 'Ktesias', 'Lykon',
+      'Lysias', 'Melanthios', 'Menandros', 'Menelaos', 'Mikon', 'Myron', 'Nearchos', 'Nikandros',
+      'Nikias', 'Pausanias', 'Phaidon', 'Philippos', 'Polybios', 'Polydoros', 'Praxiteles', 'Ptolemaios',
+      'Sokrates', 'Sosias', 'Stephanos', 'Telamon', 'Theagenes', 'Themistokles', 'Thrasyboulos', 'Timon',
+      'Xenophon', 'Zenon'
+    ],
+    female: [
+      'Agape', 'Agathe', 'Aglaia', 'Alkestis', 'Althaia', 'Anthousa', 'Antigone', 'Arete',
+      'Aspasia', 'Athenais', 'Berenike', 'Charis', 'Chrysanthe', 'Damaris', 'Demetria', 'Doris',
+      'Eirene', 'Elektra', 'Eudora', 'Eunike', 'Euphrosyne', 'Eurydike', 'Gorgo', 'Harmonia',
+      'Hermione', 'Hero', 'Hestia', 'Hypatia', 'Io', 'Ismene', 'Kallirhoe', 'Kassandra',
+      'Kleio', 'Korinna', 'Kynna', 'Lampito', 'Leda', 'Lysistrata', 'Melissa', 'Melite',
+      'Metis', 'Nausikaa', 'Nikaia', 'Niobe', 'Olympias', 'Penelope', 'Phaidra',
+      'Philippa', 'Phryne', 'Praxilla', 'Rhodope', 'Sappho', 'Stratonike', 'Telesilla', 'Thaleia',
+      'Theodote', 'Thetis', 'Timarete', 'Xanthippe', 'Zenobia', 'Zoe'
+    ]
+  };
+
+  const NAME_RE  = /^(?:.+\s[-–]\s)?(\S.*?)\s+of\s+(\S.*)$/;
+  const PLACE_RE = /^\p{Lu}[\p{L}'’-]*(?:\s\p{Lu}[\p{L}'’-]*){0,2}$/u;
+
+  /**
+   * Fold a name for comparison: lower case, accents removed
+   * @param {string} text - Name
+   * @returns {string}
+   */
+  function fold(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+  }
+
+  /**
+   * Split an entry name into given name and city
+   * @param {string} name - e.g. "Zopyros of Miletus" or "AMZ - Arete of Tripoli"
+   * @returns {{given: string, city: string}|null} Null for other names
+   */
+  function splitName(name) {
+    const match = (name || '').match(NAME_RE);
+    return match ? { given: match[1], city: match[2] } : null;
+  }
+
+  /**
+   * Visit every item of a manifest
+   * @param {Object} manifest - Manifest (generated or scanned)
+   * @param {function(Object, Object): void} visit - Called with item and category
+   */
+  function forEachItem(manifest, visit) {
+    manifest.categories.forEach(category => {
+      category.subcategories.forEach(subcategory => {
+        subcategory.items.forEach(item => visit(item, category));
+      });
+    });
+  }
+
+  /**
+   * Collect the cities known to the database
+   * @param {Object} manifest - Manifest (items need their `facets`)
+   * @returns {string[]} Distinct city names, sorted
+   */
+  function collectCities(manifest) {
+    const cities = new Map();
+    const add = city => {
+      if (PLACE_RE.test(city) && !cities.has(fold(city))) cities.set(fold(city), city);
+    };
+
+    forEachItem(manifest, (item, category) => {
+      if (category.id === 'locations') {
+        add(item.name);
+        return;
+      }
+
+      const named = splitName(item.name);
+      ((item.facets && item.facets.origin) || []).forEach(origin => {
+        add(named && fold(named.city) !== fold(origin) ? named.city : origin);
+      });
+    });
+
+    return [...cities.values()].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Collect the names already in use
+   * @param {Object} manifest - Manifest
+   * @returns {{names: Set<string>, givenNames: Set<string>}} Folded full
+   *   names and folded given names
+   */
+  function collectTaken(manifest) {
+    const names = new Set();
+    const givenNames = new Set();
+
+    forEachItem(manifest, item => {
+      const named = splitName(item.name);
+      if (named) {
+        names.add(fold(`${named.given} of ${named.city}`));
+        givenNames.add(fold(named.given));
+      } else {
+        names.add(fold(item.name));
+      }
+    });
+
+    return { names, givenNames };
+  }
+
+  /**
+   * Check whether a name is already in use
+   * @param {{names: Set<string>}} taken - See collectTaken
+   * @param {string} name - Full name
+   * @returns {boolean}
+   */
+  function isTaken(taken, name) {
+    return taken.names.has(fold(name));
+  }
+
+  /**
+   * Shuffle a copy of an array
+   * @param {Array} values - Values
+   * @param {function(): number} random - Random number generator
+   * @returns {Array} Shuffled copy
+   */
+  function shuffle(values, random) {
+    const result = values.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Generate new names
+   * Every name is new to the manifest, and no two share a given name. Given
+   * names nobody in the manifest has are used first.
+   * @param {Object} options
+   * @param {string[]} options.cities - Cities to pick from (see collectCities)
+   * @param {{names: Set<string>, givenNames: Set<string>}} options.taken - See collectTaken
+   * @param {string} [options.gender='any'] - 'male', 'female' or 'any'
+   * @param {string} [options.city] - Use this city for every name
+   * @param {number} [options.count=5] - Number of names wanted
+   * @param {function(): number} [options.random=Math.random] - Random number generator
+   * @returns {Array<{name: string, given: string, city: string, gender: string}>}
+   *   Up to `count` names (fewer when the pool runs out)
+   */
+  function generateNames({ cities, taken, gender = 'any', city = null, count = 5, random = Math.random }) {
+    const genders = gender === 'any' ? Object.keys(GIVEN_NAMES) : [gender];
+    const givens = shuffle(
+      genders.flatMap(key => (GIVEN_NAMES[key] || []).map(given => ({ given, gender: key }))),
+      random
+    ).sort((a, b) => taken.givenNames.has(fold(a.given)) - taken.givenNames.has(fold(b.given)));
+    const places = city ? [city] : cities;
+
+    const results = [];
+    for (const { given, gender: nameGender } of givens) {
+      if (results.length >= count) break;
+      const place = shuffle(places, random).find(candidate => !isTaken(taken, `${given} of ${candidate}`));
+      if (place) results.push({ name: `${given} of ${place}`, given, city: place, gender: nameGender });
+    }
+    return results;
+  }
+
+  /**
+   * Build a scaffolded info.txt for a new entry
+   * The closing TODO keeps `npm run check` reporting it until it is filled in.
+   * @param {{city: string}} entry - Generated name
+   * @returns {string} Info text
+   */
+  function buildInfoTemplate(entry) {
+    return [
+      'Place of Origin:',
+      `●\t${entry.city}`,
+      '',
+      'Magic:',
+      '',
+      'Strengths:',
+      '',
+      'Weaknesses:',
+      '',
+      'Behavior:',
+      '',
+      'Family:',
+      '',
+      'TODO',
+      ''
+    ].join('\n');
+  }
+
+  return {
+    GIVEN_NAMES,
+    buildInfoTemplate,
+    collectCities,
+    collectTaken,
+    generateNames,
+    isTaken,
+    splitName
+  };
+}));
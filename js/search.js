@@ -0,0 +1,469 @@
+/**
+ * Academy of Heroes - Search
+ * Accent-insensitive, typo-tolerant, ranked search. The front end
+ * (js/app.js, as `window.EntrySearch`) indexes every entry's name, aliases,
+ * tags, category and info text, then queries the index as the user types.
+ *
+ * Query syntax:
+ *   zopyros                       word (typos allowed: "zopiros" also finds it)
+ *   "golden fleece"               exact phrase
+ *   -hades                        leave out entries containing the word
+ *   magic:energy origin:sparta    field filters (names in FIELD_ALIASES)
+ *   -weakness:physique            leave out entries with that value
+ *   note:favour                   search the user's private notes only
+ *
+ * Text is folded before comparing: lower case, accents removed, so "mesto"
+ * finds "Město". Matches are ranked by where they are (FIELD_WEIGHTS) and
+ * how close they are (exact, prefix, typo).
+ *
+ * The generator (scripts/lib/output.js, via require) builds the index at
+ * build time and writes it with serializeIndex(); the front end reads it
+ * with deserializeIndex() and only indexes in the browser as a fallback.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EntrySearch = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const WORD_RE  = /[\p{L}\p{N}]+/gu;
+  const TOKEN_RE = /(-?)(?:([\p{L}]+):)?(?:"([^"]*)"?|(\S+))/gu;
+
+  // format of the prebuilt index file; bump whenever it changes
+  const INDEX_VERSION = 1;
+
+  // indexed fields: bit in a posting's mask → weight of a match there
+  // (`note` is only indexed in the browser, from the user's private notes)
+  const FIELDS = { name: 1, alias: 2, tag: 4, group: 8, text: 16, note: 32 };
+  const FIELD_WEIGHTS = { 1: 100, 2: 80, 4: 50, 8: 30, 16: 10, 32: 40 };
+
+  // match quality → share of the field weight
+  const EXACT = 3, PREFIX = 2, TYPO = 1;
+  const QUALITY_FACTORS = { [EXACT]: 1, [PREFIX]: 0.75, [TYPO]: 0.5 };
+
+  // "field:" as typed → field filtered on (see app.js getFieldValues)
+  const FIELD_ALIASES = {
+    name: 'name',
+    alias: 'alias', aliases: 'alias',
+    tag: 'tags', tags: 'tags',
+    in: 'group', category: 'group',
+    magic: 'magic', school: 'magic',
+    origin: 'origin', from: 'origin',
+    role: 'role',
+    strength: 'strengths', strengths: 'strengths',
+    weakness: 'weaknesses', weaknesses: 'weaknesses',
+    note: 'note', notes: 'note'
+  };
+
+  /**
+   * Fold one string for comparing
+   * @param {string} text - Any text
+   * @returns {string} Lower case without accents ("Město" → "mesto")
+   */
+  function fold(text) {
+    return (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  /**
+   * Fold a string, remembering where each folded character came from
+   * @param {string} text - Any text
+   * @returns {{text: string, map: number[]}} Folded text, and for each of
+   *   its characters the index of the original character
+   */
+  function foldWithMap(text) {
+    let folded = '';
+    const map = [];
+    Array.from(text).reduce((offset, char) => {
+      const part = fold(char);
+      folded += part;
+      for (let i = 0; i < part.length; i++) map.push(offset);
+      return offset + char.length;
+    }, 0);
+    return { text: folded, map };
+  }
+
+  /**
+   * Split text into folded words
+   * @param {string} text - Any text
+   * @returns {string[]} Words, in order
+   */
+  function tokenize(text) {
+    return fold(text).match(WORD_RE) || [];
+  }
+
+  /**
+   * Number of typos tolerated in a query word
+   * @param {string} word - Folded query word
+   * @returns {number} 0 for short words, 1 up to seven letters, 2 above
+   */
+  function maxTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance (insertions, deletions, substitutions, swaps of two
+   * neighbouring letters), giving up once it exceeds `max`
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 if it is larger than max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, before[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      before = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Compare a query word with an indexed word
+   * @param {string} term - Folded query word
+   * @param {string} word - Folded indexed word
+   * @returns {number} EXACT, PREFIX (the word starts with the term), TYPO
+   *   (within maxTypos of the word or of its start), or 0
+   */
+  function matchWord(term, word) {
+    if (term === word) return EXACT;
+    if (word.startsWith(term)) return PREFIX;
+
+    const typos = maxTypos(term);
+    if (typos === 0) return 0;
+    if (editDistance(term, word, typos) <= typos) return TYPO;
+    if (word.length > term.length && editDistance(term, word.slice(0, term.length), typos) <= typos) return TYPO;
+    return 0;
+  }
+
+  /**
+   * Parse a query
+   * @param {string} query - As typed
+   * @returns {{terms: Array<Object>, phrases: Array<Object>, filters: Array<Object>}}
+   *   `terms`: `{ word, negate }` single folded words;
+   *   `phrases`: `{ text, negate }` folded quoted phrases of several words;
+   *   `filters`: `{ field, value, negate }` field queries (value folded)
+   */
+  function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], filters: [] };
+
+    for (const match of (query || '').matchAll(TOKEN_RE)) {
+      const negate = match[1] === '-';
+      const field  = match[2] && FIELD_ALIASES[match[2].toLowerCase()];
+      const value  = match[3] !== undefined ? match[3] : match[4];
+
+      if (field) {
+        if (value.trim()) parsed.filters.push({ field, value: fold(value.trim()), negate });
+        continue;
+      }
+
+      // unknown "word:" prefixes are plain text
+      const words = tokenize(match[2] ? `${match[2]} ${value}` : value);
+      if (match[3] !== undefined && words.length > 1) {
+        parsed.phrases.push({ text: words.join(' '), negate });
+      } else {
+        words.forEach(word => parsed.terms.push({ word, negate }));
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Build an index
+   * @param {Array<Object<string, string|string[]>>} docs - Per entry, text
+   *   for each of the FIELDS, e.g. `{ name: 'Finn', alias: ['Finnick'], text: '…' }`;
+   *   may have holes (documents without text)
+   * @returns {{size: number, postings: Map<string, Map<number, number>>,
+   *   vocabulary: string[]}} Word → document number → mask of FIELDS
+   */
+  function createIndex(docs) {
+    const postings = new Map();
+
+    docs.forEach((doc, number) => {
+      Object.entries(FIELDS).forEach(([field, bit]) => {
+        [].concat(doc[field] || []).forEach(text => {
+          tokenize(text).forEach(word => {
+            let docsWithWord = postings.get(word);
+            if (!docsWithWord) postings.set(word, docsWithWord = new Map());
+            docsWithWord.set(number, (docsWithWord.get(number) || 0) | bit);
+          });
+        });
+      });
+    });
+
+    return { size: docs.length, postings, vocabulary: Array.from(postings.keys()) };
+  }
+
+  /**
+   * Compact JSON form of an index (database/generated/search-index.json)
+   * @param {Object} index - Result of createIndex()
+   * @param {string[]} ids - Entry ID of each document
+   * @returns {{version: number, ids: string[], words: Object<string, number[]>}}
+   *   Word → flat list of document number and FIELDS mask pairs
+   */
+  function serializeIndex(index, ids) {
+    const words = {};
+    index.postings.forEach((docsWithWord, word) => {
+      words[word] = [];
+      docsWithWord.forEach((mask, number) => words[word].push(number, mask));
+    });
+    return { version: INDEX_VERSION, ids, words };
+  }
+
+  /**
+   * Read an index written by serializeIndex()
+   * @param {Object} data - Parsed JSON
+   * @returns {{index: Object, ids: string[]}} Index as from createIndex(),
+   *   and the entry ID of each document
+   * @throws {Error} If the file was written in another format version
+   */
+  function deserializeIndex(data) {
+    if (!data || data.version !== INDEX_VERSION) {
+      throw new Error(`Search index version ${data && data.version} is not supported (expected ${INDEX_VERSION})`);
+    }
+
+    const postings = new Map();
+    Object.entries(data.words).forEach(([word, pairs]) => {
+      const docsWithWord = new Map();
+      for (let i = 0; i < pairs.length; i += 2) docsWithWord.set(pairs[i], pairs[i + 1]);
+      postings.set(word, docsWithWord);
+    });
+
+    return {
+      index: { size: data.ids.length, postings, vocabulary: Array.from(postings.keys()) },
+      ids: data.ids
+    };
+  }
+
+  /**
+   * Score of a posting: its best field, scaled by the match quality
+   * @param {number} mask - FIELDS bits
+   * @param {number} quality - EXACT, PREFIX or TYPO
+   * @returns {number} Score
+   */
+  function postingScore(mask, quality) {
+    let weight = 0;
+    Object.keys(FIELD_WEIGHTS).forEach(bit => {
+      if (mask & bit) weight = Math.max(weight, FIELD_WEIGHTS[bit]);
+    });
+    return weight * QUALITY_FACTORS[quality];
+  }
+
+  /**
+   * Find the documents matching one query word (exactly or as a prefix;
+   * with typos if that finds nothing)
+   * @param {Object[]} indexes - Results of createIndex() numbering the same
+   *   documents
+   * @param {string} term - Folded query word
+   * @param {number} [minQuality=TYPO] - Weakest match accepted
+   * @returns {Map<number, {score: number, words: string[]}>} Document number
+   *   → best score and the indexed words that matched
+   */
+  function findWord(indexes, term, minQuality = TYPO) {
+    const found = new Map();
+
+    const add = (index, word, quality) => {
+      index.postings.get(word).forEach((mask, number) => {
+        const score = postingScore(mask, quality);
+        const hit = found.get(number);
+        if (!hit) {
+          found.set(number, { score, words: [word] });
+        } else {
+          hit.score = Math.max(hit.score, score);
+          hit.words.push(word);
+        }
+      });
+    };
+
+    if (minQuality === EXACT) {
+      indexes.forEach(index => {
+        if (index.postings.has(term)) add(index, term, EXACT);
+      });
+      return found;
+    }
+
+    // typos only count when the word itself occurs nowhere
+    const typos = [];
+    indexes.forEach(index => {
+      index.vocabulary.forEach(word => {
+        const quality = matchWord(term, word);
+        if (quality === TYPO) typos.push([index, word]);
+        else if (quality >= minQuality) add(index, word, quality);
+      });
+    });
+    if (found.size === 0 && minQuality <= TYPO) typos.forEach(([index, word]) => add(index, word, TYPO));
+    return found;
+  }
+
+  /**
+   * Rank documents by a query's words
+   * @param {Object|Object[]} index - Result of createIndex(), or several
+   *   numbering the same documents (such as the prebuilt index and notes)
+   * @param {Array<{word: string, negate: boolean}>} terms - From parseQuery()
+   * @returns {Map<number, {score: number, words: string[]}>|null} Documents
+   *   containing every word (and none of the negated ones, exactly), or
+   *   null if there are no positive words
+   */
+  function rank(index, terms) {
+    const indexes = [].concat(index);
+    let results = null;
+
+    terms.filter(term => !term.negate).forEach(term => {
+      const found = findWord(indexes, term.word);
+      if (!results) {
+        results = found;
+        return;
+      }
+      results.forEach((hit, number) => {
+        const other = found.get(number);
+        if (!other) {
+          results.delete(number);
+        } else {
+          hit.score += other.score;
+          hit.words.push(...other.words);
+        }
+      });
+    });
+
+    const excluded = terms.filter(term => term.negate);
+    if (excluded.length === 0) return results;
+
+    if (!results) {
+      results = new Map();
+      const size = Math.max(...indexes.map(each => each.size));
+      for (let number = 0; number < size; number++) results.set(number, { score: 0, words: [] });
+    }
+    excluded.forEach(term => {
+      findWord(indexes, term.word, EXACT).forEach((hit, number) => results.delete(number));
+    });
+    return results;
+  }
+
+  /**
+   * Score a short text (such as a subcategory name) as if it were a name
+   * @param {Array<{word: string}>} terms - Query words
+   * @param {string} text - Text to match them in
+   * @returns {number} Sum of each word's best match, or 0 unless every word
+   *   matches
+   */
+  function scoreName(terms, text) {
+    const words = tokenize(text);
+    let total = 0;
+    for (const term of terms) {
+      const quality = Math.max(0, ...words.map(word => matchWord(term.word, word)));
+      if (quality === 0) return 0;
+      total += postingScore(FIELDS.name, quality);
+    }
+    return total;
+  }
+
+  /**
+   * Check a field filter against an entry's values
+   * @param {string[]} values - Entry's values for the field
+   * @param {string} query - Folded filter value ("energy", "spart")
+   * @returns {boolean} True if every word of the query matches a word of
+   *   one value (typos allowed)
+   */
+  function matchValues(values, query) {
+    const terms = tokenize(query);
+    return values.some(value => {
+      const words = tokenize(value);
+      return terms.every(term => words.some(word => matchWord(term, word) > 0));
+    });
+  }
+
+  /**
+   * Locate whole words in a text
+   * @param {string} text - Original text
+   * @param {Set<string>|string[]} words - Folded words to find
+   * @returns {Array<[number, number]>} Start and end offsets in `text`
+   */
+  function findRanges(text, words) {
+    const wanted = new Set(words);
+    const folded = foldWithMap(text);
+    const ranges = [];
+
+    for (const match of folded.text.matchAll(WORD_RE)) {
+      if (!wanted.has(match[0])) continue;
+      const last = match.index + match[0].length - 1;
+      const end = folded.map[last] + (text.codePointAt(folded.map[last]) > 0xffff ? 2 : 1);
+      ranges.push([folded.map[match.index], end]);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Cut a snippet around the first match in a text
+   * @param {string} text - Original (single-line) text
+   * @param {Set<string>|string[]} words - Folded words to highlight
+   * @param {number} [radius=40] - Characters of context on either side
+   * @returns {{text: string, highlights: Array<[number, number]>}|null}
+   *   Snippet (with "…" where it was cut) and highlight offsets in it, or
+   *   null if no word occurs
+   */
+  function makeSnippet(text, words, radius = 40) {
+    const ranges = findRanges(text, words);
+    if (ranges.length === 0) return null;
+
+    let start = Math.max(0, ranges[0][0] - radius);
+    let end   = Math.min(text.length, ranges[0][1] + radius);
+    // don't cut words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space >= 0 && space < ranges[0][0]) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space >= ranges[0][1]) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const highlights = ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+
+    return { text: prefix + text.slice(start, end) + suffix, highlights };
+  }
+
+  return {
+    FIELD_ALIASES,
+    INDEX_VERSION,
+    createIndex,
+    deserializeIndex,
+    editDistance,
+    findRanges,
+    fold,
+    makeSnippet,
+    matchValues,
+    matchWord,
+    parseQuery,
+    rank,
+    scoreName,
+    serializeIndex,
+    tokenize
+  };
+}));
@@ -0,0 +1,211 @@
+/**
+ * Academy of Heroes - Virtual Tabletop Export
+ * Converts entries to Foundry VTT and Roll20 JSON. Shared by the "Export"
+ * menu in js/app.js (as `window.VttExport`) and scripts/export_vtt.js
+ * (via require), so both produce identical files.
+ *
+ * Entries passed in are plain objects:
+ *   { id, name, group, img, sections }
+ * where `sections` is the parsed info.txt (see scripts/lib/info-parser.js)
+ * and `img` an absolute avatar URL (or null).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VttExport = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FORMATS = {
+    'foundry-actor': 'Foundry VTT actor',
+    'foundry-journal': 'Foundry VTT journal',
+    'roll20': 'Roll20 handout'
+  };
+
+  /**
+   * Escape text for HTML text and attribute values (also used by
+   * scripts/lib/pages.js)
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Render one section's entries as HTML
+   * @param {Array<Object>} entries - Parsed entries
+   * @returns {string} HTML list and paragraphs
+   */
+  function entriesToHtml(entries) {
+    const html = [];
+    let list = [];
+
+    const flush = () => {
+      if (list.length > 0) html.push(`<ul>${list.join('')}</ul>`);
+      list = [];
+    };
+
+    entries.forEach(entry => {
+      if (entry.type === 'bullet') {
+        const cls = entry.polarity === '+' ? ' class="strength"' : entry.polarity === '-' ? ' class="weakness"' : '';
+        list.push(`<li${cls}>${escapeHtml(entry.text)}</li>`);
+      } else {
+        flush();
+        html.push(`<p>${escapeHtml(entry.text)}</p>`);
+      }
+    });
+    flush();
+
+    return html.join('');
+  }
+
+  /**
+   * Render parsed info sections as HTML, keeping GM secrets apart
+   * @param {Object<string, Array<Object>>} sections - Heading → entries
+   * @returns {{html: string, secretHtml: string}} Public and secret HTML
+   */
+  function sectionsToHtml(sections) {
+    const html = [];
+    const secretHtml = [];
+
+    Object.entries(sections || {}).forEach(([heading, entries]) => {
+      const title = heading ? `<h3>${escapeHtml(heading)}</h3>` : '';
+      const open = entries.filter(entry => !entry.secret);
+      const secret = entries.filter(entry => entry.secret);
+
+      if (open.length > 0) html.push(title + entriesToHtml(open));
+      if (secret.length > 0) secretHtml.push(title + entriesToHtml(secret));
+    });
+
+    return { html: html.join(''), secretHtml: secretHtml.join('') };
+  }
+
+  /**
+   * Foundry journal/biography HTML; secrets become Foundry secret blocks
+   * (visible to the GM only)
+   * @param {Object} entry - Export entry
+   * @returns {string} HTML
+   */
+  function foundryHtml(entry) {
+    const { html, secretHtml } = sectionsToHtml(entry.sections);
+    const img = entry.img ? `<p><img src="${escapeHtml(entry.img)}" alt="${escapeHtml(entry.name)}" width="200"></p>` : '';
+    const secret = secretHtml ? `<section class="secret" id="secret-aoh-${entry.id.replace(/[^a-z0-9]+/g, '-')}">${secretHtml}</section>` : '';
+    return img + html + secret;
+  }
+
+  /**
+   * Foundry actor (importable via "Import Data"); the biography follows the
+   * dnd5e layout, which most systems read as well
+   * @param {Object} entry - Export entry
+   * @returns {Object} Actor data
+   */
+  function toFoundryActor(entry) {
+    return {
+      name: entry.name,
+      type: 'npc',
+      img: entry.img,
+      system: {
+        details: {
+          biography: { value: foundryHtml(entry) }
+        }
+      },
+      prototypeToken: {
+        name: entry.name,
+        texture: { src: entry.img }
+      },
+      flags: { aoh: { id: entry.id, group: entry.group } }
+    };
+  }
+
+  /**
+   * Foundry journal entry with a single text page
+   * @param {Object} entry - Export entry
+   * @returns {Object} JournalEntry data
+   */
+  function toFoundryJournal(entry) {
+    return {
+      name: entry.name,
+      pages: [{
+        name: entry.name,
+        type: 'text',
+        text: { content: foundryHtml(entry), format: 1 }
+      }],
+      flags: { aoh: { id: entry.id, group: entry.group } }
+    };
+  }
+
+  /**
+   * Roll20 handout; secrets go to the GM notes
+   * @param {Object} entry - Export entry
+   * @returns {Object} Handout properties
+   */
+  function toRoll20Handout(entry) {
+    const { html, secretHtml } = sectionsToHtml(entry.sections);
+    return {
+      name: entry.name,
+      avatar: entry.img || '',
+      notes: html,
+      gmnotes: secretHtml,
+      tags: entry.group ? [entry.group] : [],
+      inplayerjournals: '',
+      archived: false
+    };
+  }
+
+  /**
+   * Build an export file for one or more entries
+   * For Foundry a single entry is a bare document, ready for "Import Data"
+   * on an actor or journal entry; several become a bundle that the macro in
+   * scripts/vtt/foundry-import.js imports. Roll20 files are read by the Mod
+   * script in scripts/vtt/roll20-import.js (see DEV_SERVER.md).
+   * @param {string} format - Key of FORMATS
+   * @param {Array<Object>} entries - Export entries
+   * @param {string} name - Bundle name (e.g. the subcategory)
+   * @returns {Object} JSON-serialisable export
+   */
+  function buildExport(format, entries, name) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown export format "${format}" (use one of: ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    if (format === 'roll20') {
+      return {
+        schema: 'aoh-roll20-handouts',
+        version: 1,
+        name,
+        handouts: entries.map(toRoll20Handout)
+      };
+    }
+
+    const convert = format === 'foundry-actor' ? toFoundryActor : toFoundryJournal;
+    if (entries.length === 1) {
+      return convert(entries[0]);
+    }
+
+    return {
+      schema: 'aoh-foundry-compendium',
+      version: 1,
+      name,
+      type: format === 'foundry-actor' ? 'Actor' : 'JournalEntry',
+      documents: entries.map(convert)
+    };
+  }
+
+  return {
+    FORMATS,
+    buildExport,
+    escapeHtml,
+    sectionsToHtml,
+    toFoundryActor,
+    toFoundryJournal,
+    toRoll20Handout
+  };
+}));
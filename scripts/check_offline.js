@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/check_offline.js
+ *
+ * Runs the service worker (sw.js) against the working tree with an in-memory
+ * Cache API and checks what the offline player build relies on:
+ *
+ *   - after "download-all", every avatar and thumbnail is served with the
+ *     network gone, under the `?v=<hash>` URL the page requests
+ *   - when an image's hash changes, the old version is dropped from the cache
+ *     and the new one fetched, so the cache does not grow
+ *   - an entry page (entry/<id>/) opened offline redirects to `#/<id>`
+ *
+ * Run `npm run generate` first. Usage:
+ *   node scripts/check_offline.js
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const AssetUrls = require('../js/assets');
+
+const ORIGIN = 'http://localhost:8080';
+const SCOPE  = `${ORIGIN}/`;
+
+/**
+ * A Cache API stand-in keyed by full URL (like the real one without
+ * `ignoreSearch`)
+ */
+class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(request) {
+    const response = this.entries.get(typeof request === 'string' ? request : request.url);
+    return response ? response.clone() : undefined;
+  }
+
+  async put(request, response) {
+    this.entries.set(typeof request === 'string' ? request : request.url, response.clone());
+  }
+
+  async delete(request) {
+    return this.entries.delete(typeof request === 'string' ? request : request.url);
+  }
+
+  async keys() {
+    return [...this.entries.keys()].map(url => ({ url }));
+  }
+}
+
+/**
+ * Load sw.js into a sandbox that serves files from the repository
+ * @param {string} repoDir - Repository root
+ * @param {Object} manifest - Manifest to serve instead of the file on disk
+ * @returns {Object} `{ fire, caches, messages, setManifest, setOnline }`
+ */
+function loadWorker(repoDir, manifest) {
+  const stores    = new Map();
+  const listeners = {};
+  const messages  = [];
+  let online      = true;
+  let served      = manifest;
+
+  const caches = {
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new MemoryCache());
+      return stores.get(name);
+    },
+    async keys() {
+      return [...stores.keys()];
+    },
+    async delete(name) {
+      return stores.delete(name);
+    },
+    async match(request, { cacheName } = {}) {
+      return stores.has(cacheName) ? stores.get(cacheName).match(request) : undefined;
+    }
+  };
+
+  const fetch = async input => {
+    if (!online) throw new TypeError('Failed to fetch');
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    if (url.origin !== ORIGIN) return new Response('', { status: 200 });
+
+    const relPath = decodeURIComponent(url.pathname.slice(1)) || 'index.html';
+    if (relPath === 'database/manifest.json') return new Response(JSON.stringify(served), { status: 200 });
+
+    const file = path.join(repoDir, ...relPath.split('/'));
+    if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) return new Response('', { status: 404 });
+    return new Response(fs.readFileSync(file), { status: 200 });
+  };
+
+  // the worker's global scope is `self`, as in a browser
+  const context = vm.createContext({ caches, fetch, console, Response, URL });
+  Object.assign(context, {
+    self: context,
+    registration: { scope: SCOPE },
+    location: { origin: ORIGIN },
+    clients: { matchAll: async () => [{ postMessage: message => messages.push(message) }], claim: async () => {} },
+    skipWaiting: async () => {},
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    importScripts: (...files) => files.forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(repoDir, file), 'utf8'), context);
+    })
+  });
+  vm.runInContext(fs.readFileSync(path.join(repoDir, 'sw.js'), 'utf8'), context);
+
+  /**
+   * Dispatch an event and wait for everything it started
+   * @param {string} type - Event type
+   * @param {Object} [init] - Event fields
+   * @returns {Promise<Response|undefined>} What the worker responded with
+   */
+  async function fire(type, init = {}) {
+    const waits = [];
+    let response;
+    listeners[type]({
+      ...init,
+      waitUntil: promise => waits.push(promise),
+      respondWith: promise => {
+        response = promise;
+      }
+    });
+    const result = await response;
+    await Promise.all(waits);
+    return result;
+  }
+
+  return {
+    fire,
+    caches: stores,
+    messages,
+    setManifest: value => {
+      served = value;
+    },
+    setOnline: value => {
+      online = value;
+    }
+  };
+}
+
+/**
+ * A GET request as the page makes it
+ * @param {string} relUrl - URL relative to the site root
+ * @param {string} [mode='cors'] - Request mode
+ * @returns {{request: Object}} Fetch event fields
+ */
+function get(relUrl, mode = 'cors') {
+  return { request: { method: 'GET', url: SCOPE + relUrl, mode, cache: 'default' } };
+}
+
+async function main() {
+  const repoDir  = process.cwd();
+  const manifest = JSON.parse(fs.readFileSync(path.join(repoDir, 'database', 'manifest.json'), 'utf8'));
+  // as in the player build with a base URL
+  manifest.entryPages = manifest.entryPages || 'entry/';
+
+  const items = manifest.categories.flatMap(category =>
+    category.subcategories.flatMap(subcategory => subcategory.items));
+  const pageUrl = (src, meta) => encodeURI(AssetUrls.versionedUrl(src, meta));
+  const problems = [];
+
+  const worker = loadWorker(repoDir, manifest);
+  await worker.fire('install');
+  await worker.fire('activate');
+
+  let result = null;
+  await worker.fire('message', {
+    data: { type: 'download-all' },
+    source: { postMessage: message => (message.type === 'download-done' ? (result = message) : null) }
+  });
+  if (!result || result.failed !== 0) problems.push(`download-all failed for ${result ? result.failed : '?'} files`);
+
+  worker.setOnline(false);
+  const assets = [
+    ...items.filter(item => item.avatar).map(item => pageUrl(item.avatar, item.avatarMeta)),
+    ...manifest.categories.flatMap(category => category.subcategories
+      .filter(subcategory => subcategory.thumbnail)
+      .map(subcategory => pageUrl(subcategory.thumbnail, subcategory.thumbnailMeta)))
+  ];
+  for (const asset of assets) {
+    const response = await worker.fire('fetch', get(asset)).catch(() => null);
+    if (!response || !response.ok) problems.push(`not served offline: ${asset}`);
+  }
+
+  const item = items[0];
+  const page = await worker.fire('fetch', get(`${manifest.entryPages}${item.id}/`, 'navigate')).catch(() => null);
+  const expected = `${SCOPE}#/${item.id}`;
+  if (!page || page.headers.get('location') !== expected) {
+    problems.push(`entry page offline: expected a redirect to ${expected}`);
+  }
+
+  // replace one avatar
+  worker.setOnline(true);
+  const images = worker.caches.get('aoh-images');
+  const before = images.entries.size;
+  const next   = JSON.parse(JSON.stringify(manifest));
+  const target = next.categories.flatMap(category =>
+    category.subcategories.flatMap(subcategory => subcategory.items)).find(entry => entry.avatarMeta);
+  const oldUrl = SCOPE + pageUrl(target.avatar, target.avatarMeta);
+  next.version = `${manifest.version}-next`;
+  target.avatarMeta = { ...target.avatarMeta, hash: 'changed' };
+  worker.setManifest(next);
+
+  await worker.fire('fetch', get('database/manifest.json'));
+  if (images.entries.has(oldUrl)) problems.push(`old version still cached: ${oldUrl}`);
+  if (!images.entries.has(SCOPE + pageUrl(target.avatar, target.avatarMeta))) problems.push('new version not fetched');
+  if (images.entries.size !== before) problems.push(`image cache grew from ${before} to ${images.entries.size}`);
+  if (!worker.messages.some(message => message.type === 'content-updated')) problems.push('pages not told to reload');
+
+  problems.forEach(problem => console.log(`  ${problem}`));
+  if (problems.length > 0) throw new Error(`${problems.length} offline problem${problems.length === 1 ? '' : 's'}`);
+  console.log(`✅  ${assets.length} images served offline by their versioned URLs; updates replace them`);
+}
+
+// run
+main().catch(err => {
+  console.error(`❌  ${err.message}`);
+  process.exit(1);
+});
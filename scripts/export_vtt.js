@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/export_vtt.js
+ *
+ * Export entries for virtual tabletops (Foundry VTT, Roll20), using the same
+ * converter as the front end's "Export" menu (js/vtt-export.js).
+ *
+ * Usage:
+ *   node scripts/export_vtt.js --format <format> <selection> [options]
+ *
+ * Formats:
+ *   foundry-actor     Foundry actor(s), biography holds the info text
+ *   foundry-journal   Foundry journal entr(y/ies) with one text page
+ *   roll20            Roll20 handouts (GM secrets go to the GM notes)
+ *
+ * Selection (one of):
+ *   --item <id>            a single entry, e.g. characters/teachers/theano-of-thebes
+ *   --subcategory <name>   a whole subcategory by ID, folder or display name,
+ *                          e.g. "3. Teachers", "Teachers" or characters/teachers
+ *   --ids <id,id,…>        a list of entries (e.g. copied favorites)
+ *   --all                  everything
+ *
+ * Options:
+ *   --out <file>      write to a file instead of stdout
+ *   --player          leave out GM secrets and gmOnly entries
+ *   --base-url <url>  prefix for avatar URLs (default: package.json "homepage")
+ *
+ * A single Foundry entry imports with "Import Data"; several, and Roll20
+ * handouts, need the importers in scripts/vtt/ (steps in DEV_SERVER.md).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { scanDatabase } = require('./lib/scan');
+const { readHomepage } = require('./lib/site');
+const VttExport        = require('../js/vtt-export');
+
+/**
+ * Read the value following a flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} flag - e.g. "--item"
+ * @returns {string|null} Value, or null if the flag is absent
+ */
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 && args[index + 1] ? args[index + 1] : null;
+}
+
+/**
+ * Pick the entries to export
+ * @param {Object} manifest - Scanned manifest
+ * @param {string[]} args - Command-line arguments
+ * @returns {{name: string, entries: Array<Object>}} Bundle name and
+ *   `{ item, subcategory }` pairs
+ */
+function selectEntries(manifest, args) {
+  const all = [];
+  manifest.categories.forEach(category => {
+    category.subcategories.forEach(subcategory => {
+      subcategory.items.forEach(item => all.push({ item, subcategory }));
+    });
+  });
+
+  const itemId = option(args, '--item');
+  if (itemId) {
+    const match = all.filter(({ item }) => item.id === itemId);
+    if (match.length === 0) throw new Error(`No entry with ID "${itemId}"`);
+    return { name: match[0].item.name, entries: match };
+  }
+
+  const sub = option(args, '--subcategory');
+  if (sub) {
+    const key   = sub.toLowerCase();
+    const match = all.filter(({ subcategory }) =>
+      [subcategory.id, subcategory.name, subcategory.displayName]
+        .filter(Boolean)
+        .some(value => value.toLowerCase() === key)
+    );
+    if (match.length === 0) throw new Error(`No subcategory "${sub}"`);
+    return { name: match[0].subcategory.displayName || match[0].subcategory.name, entries: match };
+  }
+
+  const ids = option(args, '--ids');
+  if (ids) {
+    const wanted  = ids.split(',').map(id => id.trim()).filter(Boolean);
+    const missing = wanted.filter(id => !all.some(({ item }) => item.id === id));
+    if (missing.length > 0) throw new Error(`No entry with ID ${missing.map(id => `"${id}"`).join(', ')}`);
+    return { name: 'Academy of Heroes', entries: wanted.map(id => all.find(({ item }) => item.id === id)) };
+  }
+
+  if (args.includes('--all')) {
+    return { name: 'Academy of Heroes', entries: all };
+  }
+
+  throw new Error('Choose what to export: --item, --subcategory, --ids or --all');
+}
+
+async function main() {
+  const args    = process.argv.slice(2);
+  const repoDir = process.cwd();
+  const format  = option(args, '--format');
+  const outFile = option(args, '--out');
+  const baseUrl = (option(args, '--base-url') || readHomepage(repoDir) || '').replace(/\/*$/, '/');
+
+  if (!VttExport.FORMATS[format]) {
+    throw new Error(`--format must be one of: ${Object.keys(VttExport.FORMATS).join(', ')}`);
+  }
+
+  const manifest = await scanDatabase(path.join(repoDir, 'database'), {
+    player: args.includes('--player')
+  });
+  const { name, entries } = selectEntries(manifest, args);
+
+  const data = VttExport.buildExport(format, entries.map(({ item, subcategory }) => ({
+    id:       item.id,
+    name:     item.name,
+    group:    subcategory.displayName || subcategory.name,
+    img:      item.avatar ? baseUrl + encodeURI(item.avatar) : null,
+    sections: item.sections
+  })), name);
+
+  const json = JSON.stringify(data, null, 2);
+  if (outFile) {
+    await fs.promises.writeFile(path.resolve(repoDir, outFile), json, 'utf8');
+    console.log(`✅  Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} to ${outFile}`);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+}
+
+// run
+main().catch(err => {
+  console.error(`❌  ${err.message}`);
+  process.exit(1);
+});
@@ -3,22 +3,50 @@
 /**
  * scripts/generate_manifest.js
  *
- * Scans the `database/` directory and produces `database/manifest.json` with this shape:
+ * Scans the `database/` directory and builds a manifest with this shape:
  *
  * {
  *   categories: [
  *     {
- *       name: "NPCs",
+ *       id:          "npcs",
+ *       name:        "NPCs",
+ *       displayName: "NPCs",                  // folder name without "1. " prefix
+ *       order:       null,                    // explicit position, or null
  *       subcategories: [
  *         {
- *           name: "Female NPCs",
+ *           id:          "npcs/female-npcs",
+ *           name:        "2. Female NPCs",
+ *           displayName: "Female NPCs",
+ *           order:       2,
  *           thumbnail: "database/NPCs/Female NPCs/thumbnail.png", // or null
+ *           thumbnailMeta: { width, height, bytes, hash },          // or null
  *           items: [
  *             {
- *               name: "Thalia",
+ *               id:   "npcs/female-npcs/thalia",                       // stable, path-derived
+ *               name: "Thalia",                                        // folder name without "1. " prefix
+ *               folder: "1. Thalia",                                   // only when the folder has a prefix
+ *               order: null,                                           // from order.txt or the prefix
  *               avatar: "database/NPCs/Female NPCs/Thalia/avatar.jpg",
  *               image:   "database/NPCs/Female NPCs/Thalia/image.png", // or null
+ *               avatarMeta: { width: 280, height: 280, bytes: 81234, hash: "3f9a0c1b2d" },
+ *               imageMeta:  { … },                                      // or null
+ *               aliases: ["Thali"],                  // meta.json / front matter,
+ *               tags:    ["healer"],                 // see lib/item-meta.js
+ *               flags:   { gmOnly: true },
+ *               fields:  { year: 2 },
  *               info:    "…file contents of info.txt…",               // or null
+ *               language:  "en",              // language of `info` (from _meta.json), or null
+ *               languages: ["en", "cs"],      // every language available
+ *               sections: {                                             // parsed info.txt
+ *                 "Place of Origin": [{ type: "bullet", text: "Athens" }],
+ *                 "Strengths":       [{ type: "bullet", text: "Logic", polarity: "+" }],
+ *                 …
+ *               },
+ *               links:     [{ text: "Athens", ids: ["locations/greek-cities/athens"] }],
+ *               backlinks: ["characters/teachers/theano-of-thebes"], // see lib/links.js
+ *               translations: {                                    // info.<lang>.txt files
+ *                 cs: { info: "…", sections: { … }, links: [ … ] }
+ *               }
  *             },
  *             …
  *           ]
@@ -29,100 +57,96 @@
  *     …
  *   ]
  * }
+ *
+ * IDs are slugs of the folder names (see lib/slug.js) joined with "/". They do
+ * not depend on ordering prefixes or display order. Only folders whose slugs
+ * collide depend on sort order (they get "-2", "-3" …), so `--check` reports
+ * them.
+ *
+ * Image metadata is read from the file headers (see lib/image-info.js); the
+ * hash changes whenever an artist replaces the file and is used by the front
+ * end as a cache-busting query string.
+ *
+ * The manifest is written split (see lib/output.js): `database/manifest.json`
+ * keeps everything except `info`, `sections`, `links`, `backlinks` and
+ * `translations`, and each subcategory gains a `details` URL pointing at the
+ * file under `database/generated/` that holds them. The search box reads
+ * `database/generated/search-index.json` (a prebuilt word index) and
+ * `database/generated/search.json` (plain text for snippets).
+ *
+ * The default output is the GM build (`audience: "gm"`): info text keeps its
+ * `[GM]` secret markup for the front end to highlight. `--player` writes a
+ * separate, self-contained site (lib/site.js) from a manifest with every
+ * secret and every `gmOnly` entry removed (`audience: "player"`).
+ *
+ * Ordering and display names come from numeric folder prefixes, `_meta.json`
+ * and `order.txt` files (see lib/ordering.js).
+ *
+ * Usage:
+ *   node scripts/generate_manifest.js           write database/manifest.json
+ *                                               and database/generated/
+ *   node scripts/generate_manifest.js --check   report problems, write nothing;
+ *                                               exits 1 if any are found
+ *   node scripts/generate_manifest.js --player [--out dist] [--base-url URL]
+ *                                               build the player-safe site
+ *                                               (GM secrets stripped, see
+ *                                               lib/info-parser.js) into dist/,
+ *                                               with per-entry pages and a
+ *                                               sitemap (lib/pages.js); the
+ *                                               URL defaults to package.json
+ *                                               "homepage"; --out must be new,
+ *                                               empty or an earlier build
  */
 
 const fs   = require('fs');
 const path = require('path');
 
+const { scanDatabase }                = require('./lib/scan');
+const { checkManifest, formatReport } = require('./lib/check');
+const { writeOutputs }                = require('./lib/output');
+const { buildSite, readHomepage }     = require('./lib/site');
+
 async function main() {
+  const args       = process.argv.slice(2);
+  const checkOnly  = args.includes('--check');
+  const player     = args.includes('--player');
+  const outIndex   = args.indexOf('--out');
+  const outDir     = path.resolve(process.cwd(), outIndex >= 0 && args[outIndex + 1] ? args[outIndex + 1] : 'dist');
+  const urlIndex   = args.indexOf('--base-url');
+  const baseUrl    = urlIndex >= 0 && args[urlIndex + 1] ? args[urlIndex + 1] : readHomepage(process.cwd());
   const rootDir    = path.resolve(process.cwd(), 'database');
   // ensure database/ exists (Git won’t track empty dirs)
   if (!fs.existsSync(rootDir)) {
     await fs.promises.mkdir(rootDir, { recursive: true });
   }
-  const outPath    = path.join(rootDir, 'manifest.json');
-  const manifest   = { categories: [] };
-
-  // helper to list only directories, sorted alphabetically
-  async function listDirs(dir) {
-    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-    return entries
-      .filter(e => e.isDirectory())
-      .map(e => e.name)
-      .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
-  }
 
-  // helper to list only files
-  async function listFiles(dir) {
-    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-    return entries.filter(e => e.isFile()).map(e => e.name);
+  const ignoredFiles = [];
+  const manifest     = await scanDatabase(rootDir, {
+    onIgnoredFile: file => ignoredFiles.push(file),
+    player
+  });
+
+  // --check: report problems without writing anything
+  if (checkOnly) {
+    const problems = checkManifest(manifest, ignoredFiles);
+    console.log(formatReport(problems));
+    process.exitCode = problems.length > 0 ? 1 : 0;
+    return;
   }
 
-  // scan top‐level categories
-  const categories = await listDirs(rootDir);
-  for (const cat of categories) {
-    const catPath = path.join(rootDir, cat);
-    const subcats = await listDirs(catPath);
-
-    const subcategories = [];
-    for (const sub of subcats) {
-      const subPath = path.join(catPath, sub);
-      const files   = await listFiles(subPath);
-
-      // find optional thumbnail.*
-      const thumb = files.find(fn => /^thumbnail\.[^.]+$/i.test(fn)) || null;
-      const thumbnail = thumb
-        ? ['database', cat, sub, thumb].join('/')
-        : null;
-
-      // scan items
-      const items = [];
-      const itemDirs = await listDirs(subPath);
-      for (const item of itemDirs) {
-        const itemPath = path.join(subPath, item);
-        const itemFiles = await listFiles(itemPath);
-
-        const avatarFile = itemFiles.find(fn => /^avatar\.[^.]+$/i.test(fn)) || null;
-        const imageFile  = itemFiles.find(fn => /^image\.[^.]+$/i.test(fn))  || null;
-        const infoFile   = itemFiles.find(fn => /^info\.[^.]+$/i.test(fn))   || null;
-
-        // read info text if present
-        let info = null;
-        if (infoFile) {
-          info = await fs.promises.readFile(
-            path.join(itemPath, infoFile),
-            'utf8'
-          );
-        }
-
-        items.push({
-          name:   item,
-          avatar: avatarFile
-            ? ['database', cat, sub, item, avatarFile].join('/')
-            : null,
-          image: imageFile
-            ? ['database', cat, sub, item, imageFile].join('/')
-            : null,
-          info
-        });
-      }
-
-      subcategories.push({
-        name:      sub,
-        thumbnail,
-        items
-      });
+  // --player: self-contained site without any GM content
+  if (player) {
+    const { assets, data, pages } = await buildSite(process.cwd(), outDir, manifest, { baseUrl });
+    console.log(`✅  Built player site at ${outDir} (${data} data files, ${assets} images, ${pages} entry pages)`);
+    if (!baseUrl) {
+      console.warn('⚠️  No --base-url or package.json "homepage": skipped entry pages and sitemap.xml');
     }
-
-    manifest.categories.push({
-      name:          cat,
-      subcategories
-    });
+    return;
   }
 
-  // write out pretty‐printed JSON
-  await fs.promises.writeFile(outPath, JSON.stringify(manifest, null, 2), 'utf8');
-  console.log(`✅  Generated manifest at ${outPath}`);
+  // write index + generated detail/search files
+  const written = await writeOutputs(rootDir, manifest);
+  console.log(`✅  Generated manifest at ${written[0]} (+${written.length - 1} generated files)`);
 }
 
 // run
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/generate_names.js
+ *
+ * Suggest new "Given name of City" character names, using the same
+ * generator as the front end's name dialog (js/names.js): Greek given names
+ * and the cities the database already knows, never a name that is already
+ * taken.
+ *
+ * Usage:
+ *   node scripts/generate_names.js [options]
+ *
+ * Options:
+ *   --gender <male|female>   only male or female given names (default: both)
+ *   --city <city>            use this city for every name
+ *   --count <n>              number of names (default: 5)
+ *   --template               print a scaffolded info.txt below each name
+ *   --name "<name>"          print the info.txt template for a chosen name
+ *   --cities                 list the known cities
+ *   --help                   show the options
+ */
+
+const path = require('path');
+
+const { scanDatabase } = require('./lib/scan');
+const NameGenerator    = require('../js/names');
+
+const USAGE = `Usage: node scripts/generate_names.js [options]
+
+Options:
+  --gender <male|female>   only male or female given names (default: both)
+  --city <city>            use this city for every name
+  --count <n>              number of names (default: 5)
+  --template               print a scaffolded info.txt below each name
+  --name "<name>"          print the info.txt template for a chosen name
+  --cities                 list the known cities
+  --help                   show this text`;
+
+const VALUE_FLAGS  = ['--gender', '--city', '--count', '--name'];
+const SWITCH_FLAGS = ['--template', '--cities', '--help'];
+
+/**
+ * Check the command line for unknown flags, stray arguments and flags
+ * missing their value
+ * @param {string[]} args - Command-line arguments
+ * @returns {string|null} What is wrong, or null
+ */
+function findArgumentError(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_FLAGS.includes(args[i])) {
+      if (args[i + 1] === undefined || args[i + 1].startsWith('--')) return `${args[i]} needs a value`;
+      i++;
+    } else if (!SWITCH_FLAGS.includes(args[i])) {
+      return args[i].startsWith('--') ? `Unknown option ${args[i]}` : `Unexpected argument "${args[i]}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the value following a flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} flag - e.g. "--city"
+ * @returns {string|null} Value, or null if the flag is absent
+ */
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 && args[index + 1] ? args[index + 1] : null;
+}
+
+/**
+ * Print a template with a header naming the folder it belongs in
+ * @param {{name: string, city: string}} entry - Name and city
+ */
+function printTemplate(entry) {
+  console.log(`\n--- ${entry.name}/info.txt`);
+  process.stdout.write(NameGenerator.buildInfoTemplate(entry));
+}
+
+async function main() {
+  const args    = process.argv.slice(2);
+  const repoDir = process.cwd();
+
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+  const argumentError = findArgumentError(args);
+  if (argumentError) {
+    console.error(USAGE);
+    throw new Error(argumentError);
+  }
+
+  const gender = option(args, '--gender') || 'any';
+  if (!['any', ...Object.keys(NameGenerator.GIVEN_NAMES)].includes(gender)) {
+    throw new Error(`--gender must be one of: ${Object.keys(NameGenerator.GIVEN_NAMES).join(', ')}`);
+  }
+
+  const countText = option(args, '--count') || '5';
+  if (!/^[1-9]\d*$/.test(countText)) throw new Error('--count must be a positive whole number');
+  const count = parseInt(countText, 10);
+
+  const manifest = await scanDatabase(path.join(repoDir, 'database'));
+  const cities   = NameGenerator.collectCities(manifest);
+  const taken    = NameGenerator.collectTaken(manifest);
+
+  if (args.includes('--cities')) {
+    cities.forEach(city => console.log(city));
+    return;
+  }
+
+  const chosen = option(args, '--name');
+  if (chosen) {
+    const named = NameGenerator.splitName(chosen);
+    if (!named) throw new Error(`"${chosen}" does not follow the "Given name of City" pattern`);
+    if (NameGenerator.isTaken(taken, chosen)) {
+      console.warn(`⚠️   ${chosen} is already in the database`);
+    }
+    printTemplate({ name: chosen, city: named.city });
+    return;
+  }
+
+  const city = option(args, '--city');
+  if (city && !cities.some(known => known.toLowerCase() === city.toLowerCase())) {
+    console.warn(`⚠️   ${city} is not a known city (see --cities); using it anyway`);
+  }
+
+  const names = NameGenerator.generateNames({ cities, taken, gender, city, count });
+  if (names.length === 0) throw new Error('No free names left for these options');
+
+  names.forEach(entry => {
+    if (args.includes('--template')) printTemplate(entry);
+    else console.log(entry.name);
+  });
+}
+
+// run
+main().catch(err => {
+  console.error(`❌  ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+/**
+ * scripts/lib/check.js
+ *
+ * Consistency checks for the database folder, used by
+ * `node scripts/generate_manifest.js --check` (`npm run check`).
+ */
+
+const { hasUnclosedSecret } = require('./info-parser');
+const { findImages }        = require('../../js/markup');
+const { slugify }           = require('./slug');
+
+// section headings writers are expected to use in info.txt
+const KNOWN_HEADINGS = new Set([
+  // English character entries
+  'Place of Origin',
+  'Role',
+  'Magic',
+  'Strengths',
+  'Weaknesses',
+  'Behavior',
+  'Family',
+  'Connections',
+  // English faction translations
+  'Type',
+  'Description',
+  'Recommended Abilities',
+  // Czech society members and factions
+  'AKA',
+  'Typ',
+  'Popis',
+  'Doporučené schopnosti',
+  'Město',
+  'Ročník',
+  'Magie',
+  'Silné stránky'
+]);
+
+const CHECKS = {
+  missingAvatar:   'Items without avatar.*',
+  missingInfo:     'Items without info.txt (or info.<lang>.txt)',
+  placeholderInfo: 'Info files that are empty or still TODO',
+  unknownHeading:  'Unknown section headings',
+  unclosedSecret:  'Secret [GM] blocks without a closing [/GM]',
+  missingImage:    'Embedded images (![alt](file)) not found in the item folder',
+  brokenLink:      'Links that match no entry',
+  ambiguousLink:   'Mentions matching several entries (pick one with [[Subcategory/Name]])',
+  ignoredFile:     'Files ignored by the generator',
+  duplicateName:   'Item names used in more than one subcategory',
+  slugCollision:   'Folders whose ID collides with a sibling (the -2, -3 suffix follows sort order; rename one)',
+  emptySubcat:     'Empty subcategories'
+};
+
+/**
+ * Run all checks against a scanned manifest
+ * @param {Object} manifest - Result of scanDatabase()
+ * @param {string[]} ignoredFiles - Paths reported by scanDatabase()'s onIgnoredFile
+ * @returns {Array<{check: string, path: string, message: string}>} Problems found
+ */
+function checkManifest(manifest, ignoredFiles = []) {
+  const problems = [];
+  const byName   = new Map();
+
+  function report(check, where, message = '') {
+    problems.push({ check, path: where, message });
+  }
+
+  // a suffixed ID changes when a colliding folder that sorts first is added
+  function checkSlug(where, name, id) {
+    const slug = slugify(name);
+    if (id.split('/').pop() !== slug) report('slugCollision', where, `ID "${id}", not "${slug}"`);
+  }
+
+  for (const category of manifest.categories) {
+    checkSlug(['database', category.name].join('/'), category.name, category.id);
+
+    for (const subcategory of category.subcategories) {
+      const subPath = ['database', category.name, subcategory.name].join('/');
+      checkSlug(subPath, subcategory.name, subcategory.id);
+
+      if (subcategory.items.length === 0) {
+        report('emptySubcat', subPath);
+      }
+
+      for (const item of subcategory.items) {
+        const itemPath = [subPath, item.folder || item.name].join('/');
+        checkSlug(itemPath, item.name, item.id);
+
+        if (!item.avatar) report('missingAvatar', itemPath);
+
+        if (item.info === null) {
+          report('missingInfo', itemPath);
+        }
+
+        // main content plus every translation
+        const contents = [
+          [item.language, item],
+          ...Object.entries(item.translations || {})
+        ].filter(([, content]) => content.info !== null);
+
+        contents.forEach(([lang, content]) => {
+          const where = lang && item.languages.length > 1 ? `${itemPath} [${lang}]` : itemPath;
+
+          if (!content.info.trim()) {
+            report('placeholderInfo', where, 'info file is empty');
+          } else if (/^\s*TODO\b/m.test(content.info)) {
+            report('placeholderInfo', where, 'contains TODO');
+          }
+
+          if (hasUnclosedSecret(content.info)) {
+            report('unclosedSecret', where);
+          }
+
+          findImages(content.info)
+            .filter(fn => !(item.attachments || []).includes([itemPath, fn].join('/')))
+            .forEach(fn => report('missingImage', where, `"${fn}"`));
+
+          Object.keys(content.sections || {})
+            .filter(heading => heading && !KNOWN_HEADINGS.has(heading))
+            .forEach(heading => report('unknownHeading', where, `"${heading}:"`));
+
+          (content.links || []).forEach(link => {
+            if (link.ids.length === 0) {
+              report('brokenLink', where, `"${link.text}"`);
+            } else if (link.ids.length > 1) {
+              report('ambiguousLink', where, `"${link.text}" → ${link.ids.join(', ')}`);
+            }
+          });
+        });
+
+        if (!byName.has(item.name)) byName.set(item.name, []);
+        byName.get(item.name).push(subPath);
+      }
+    }
+  }
+
+  for (const [name, paths] of byName) {
+    if (paths.length > 1) {
+      report('duplicateName', name, paths.join(', '));
+    }
+  }
+
+  ignoredFiles.forEach(file => report('ignoredFile', file));
+
+  return problems;
+}
+
+/**
+ * Format problems as a human-readable report grouped by check
+ * @param {Array<Object>} problems - Result of checkManifest()
+ * @returns {string} Report text
+ */
+function formatReport(problems) {
+  if (problems.length === 0) {
+    return '✅  No problems found in database/';
+  }
+
+  const lines = [];
+  for (const [check, title] of Object.entries(CHECKS)) {
+    const group = problems.filter(p => p.check === check);
+    if (group.length === 0) continue;
+
+    lines.push(`${title} (${group.length}):`);
+    group.forEach(p => {
+      lines.push(`  • ${p.path}${p.message ? ' — ' + p.message : ''}`);
+    });
+    lines.push('');
+  }
+  lines.push(`❌  ${problems.length} problem(s) found in database/`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  KNOWN_HEADINGS,
+  checkManifest,
+  formatReport
+};
@@ -0,0 +1,113 @@
+/**
+ * scripts/lib/csv.js
+ *
+ * Minimal RFC 4180 CSV reading and writing for the spreadsheet round-trip
+ * (scripts/spreadsheet.js). Cells may span several lines when quoted.
+ *
+ * Spreadsheet apps differ in what they save: Excel in many European locales
+ * uses `;` instead of `,`, and "CSV UTF-8" starts with a byte-order mark.
+ * parseCsv() takes the delimiter from the header line and drops the mark;
+ * formatCsv() adds it back so Excel does not garble `●` or accented names.
+ */
+
+const BOM = '\uFEFF';
+
+// candidate delimiters, most common first
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = DELIMITERS.map(d => firstLine.split(d).length - 1);
+  const best = Math.max(...counts);
+  return best > 0 ? DELIMITERS[counts.indexOf(best)] : ',';
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV file contents
+ * @param {string} [delimiter] - Cell separator (detected if omitted)
+ * @returns {string[][]} Rows; fully empty rows are dropped
+ */
+function parseCsv(text, delimiter) {
+  const source = text.startsWith(BOM) ? text.slice(1) : text;
+  const sep    = delimiter || detectDelimiter(source);
+  const rows   = [];
+  let row      = [];
+  let cell     = '';
+  let quoted   = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row  = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted cell at the end of the file');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // normalise line breaks inside cells and skip blank rows
+  return rows
+    .map(cells => cells.map(value => value.replace(/\r\n?/g, '\n')))
+    .filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a cell if needed
+ * @param {string} value - Cell text
+ * @param {string} sep - Delimiter
+ * @returns {string} CSV cell
+ */
+function formatCell(value, sep) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(sep)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Serialise rows as CSV (CRLF line ends and a BOM, as Excel expects)
+ * @param {Array<Array<string>>} rows - Header row first
+ * @param {string} [delimiter=','] - Cell separator
+ * @returns {string} CSV text
+ */
+function formatCsv(rows, delimiter = ',') {
+  return BOM + rows
+    .map(cells => cells.map(value => formatCell(value, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  detectDelimiter,
+  formatCsv,
+  parseCsv
+};
@@ -0,0 +1,62 @@
+/**
+ * scripts/lib/facets.js
+ *
+ * Filter values for the character grid's filter bar. They are derived from
+ * an item's parsed info sections and stored in the index (not the detail
+ * files), so the front end can filter the whole database without loading
+ * any details:
+ *
+ *   facets: { origin: ['Sparta'], magic: ['Energy', 'Protection'],
+ *             strengths: ['Might'], weaknesses: ['Physique'] }
+ *
+ * Parenthesised notes are dropped ("Energy (Zeus)" → "Energy"), so entries
+ * group by school or city. Only bullets count; prose such as "TODO" does not.
+ */
+
+// facet key → section headings it is read from (English and Czech)
+const FACET_SECTIONS = {
+  origin:     ['Place of Origin', 'Město'],
+  role:       ['Role'],
+  magic:      ['Magic', 'Magie'],
+  strengths:  ['Strengths', 'Silné stránky'],
+  weaknesses: ['Weaknesses']
+};
+
+/**
+ * Normalise one entry into a facet value
+ * @param {string} text - Entry text
+ * @returns {string} Value without parenthesised notes
+ */
+function facetValue(text) {
+  return text.replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+/**
+ * Extract facet values from parsed sections
+ * @param {Object<string, Array<Object>>} sections - Result of parseInfo()
+ * @returns {Object<string, string[]>} Facet key → distinct values (keys
+ *   without values are left out)
+ */
+function extractFacets(sections) {
+  const facets = {};
+
+  Object.entries(FACET_SECTIONS).forEach(([key, headings]) => {
+    const values = [];
+    headings.forEach(heading => {
+      (sections[heading] || [])
+        .filter(entry => entry.type === 'bullet')
+        .map(entry => facetValue(entry.text))
+        .forEach(value => {
+          if (value && !values.includes(value)) values.push(value);
+        });
+    });
+    if (values.length > 0) facets[key] = values;
+  });
+
+  return facets;
+}
+
+module.exports = {
+  FACET_SECTIONS,
+  extractFacets
+};
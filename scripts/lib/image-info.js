@@ -0,0 +1,127 @@
+/**
+ * scripts/lib/image-info.js
+ *
+ * Reads image dimensions straight from PNG, JPEG, WebP and GIF headers, plus
+ * byte size and a short content hash. Pure Node (no native image library),
+ * so it runs unchanged in a bare GitHub Action.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+// length of the hex content hash used for cache busting
+const HASH_LENGTH = 10;
+
+/**
+ * Read the dimensions of a PNG image
+ * @param {Buffer} buf - File contents
+ * @returns {{width: number, height: number}|null} Null for a damaged header
+ */
+function readPng(buf) {
+  // 8-byte signature, then the IHDR chunk: length, "IHDR", width, height
+  if (buf.length < 24 || buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+/**
+ * Read the dimensions of a JPEG image
+ * @param {Buffer} buf - File contents
+ * @returns {{width: number, height: number}|null} Null for a damaged header
+ */
+function readJpeg(buf) {
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xFF) return null;
+
+    const marker = buf[offset + 1];
+    // standalone markers without a length field
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+
+    // SOF0–SOF15 carry the frame size (C4 = DHT, C8 = JPG, CC = DAC are not frames)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buf.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Read the dimensions of a WebP (lossy, lossless or extended) image
+ * @param {Buffer} buf - File contents
+ * @returns {{width: number, height: number}|null} Null for a damaged header
+ *   or an unknown chunk
+ */
+function readWebp(buf) {
+  if (buf.length < 30 || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return {
+      width:  buf.readUInt16LE(26) & 0x3FFF,
+      height: buf.readUInt16LE(28) & 0x3FFF
+    };
+  }
+  if (chunk === 'VP8L') {
+    return {
+      width:  1 + (((buf[22] & 0x3F) << 8) | buf[21]),
+      height: 1 + (((buf[24] & 0x0F) << 10) | (buf[23] << 2) | ((buf[22] & 0xC0) >> 6))
+    };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      width:  1 + buf.readUIntLE(24, 3),
+      height: 1 + buf.readUIntLE(27, 3)
+    };
+  }
+  return null;
+}
+
+/**
+ * Read the dimensions of a GIF image
+ * @param {Buffer} buf - File contents
+ * @returns {{width: number, height: number}|null} Null for a damaged header
+ */
+function readGif(buf) {
+  if (buf.length < 10) return null;
+  return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+/**
+ * Detect the format and read the dimensions of an image buffer
+ * @param {Buffer} buf - File contents
+ * @returns {{width: number, height: number}|null} Null for unknown formats
+ */
+function readDimensions(buf) {
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504E47) return readPng(buf);
+  if (buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8) return readJpeg(buf);
+  if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF') return readWebp(buf);
+  if (buf.length >= 6 && buf.toString('ascii', 0, 3) === 'GIF') return readGif(buf);
+  return null;
+}
+
+/**
+ * Read metadata for an image file
+ * @param {string} file - Absolute path
+ * @returns {Promise<{width: number|null, height: number|null, bytes: number, hash: string}>}
+ */
+async function readImageInfo(file) {
+  const buf  = await fs.promises.readFile(file);
+  const size = readDimensions(buf) || { width: null, height: null };
+
+  return {
+    width:  size.width,
+    height: size.height,
+    bytes:  buf.length,
+    hash:   crypto.createHash('sha1').update(buf).digest('hex').slice(0, HASH_LENGTH)
+  };
+}
+
+module.exports = {
+  readDimensions,
+  readImageInfo
+};
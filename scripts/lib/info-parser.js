@@ -0,0 +1,215 @@
+/**
+ * scripts/lib/info-parser.js
+ *
+ * Parses the plain-text `info.txt` format used throughout `database/` into
+ * structured sections. A typical file looks like:
+ *
+ *   Place of Origin:
+ *   ●	Thebes
+ *
+ *   Strengths:
+ *   +	Agility
+ *
+ *   Weaknesses:
+ *   -	Magic
+ *
+ * Some entries use the compact form `Heading: value, value` on one line;
+ * those values are split on top-level commas into separate entries.
+ *
+ * The result maps each heading (in file order) to a list of entries:
+ *
+ *   { type: 'bullet', text: 'Thebes' }                    // ● bullet
+ *   { type: 'bullet', text: 'Agility', polarity: '+' }    // + bullet
+ *   { type: 'bullet', text: 'Magic',   polarity: '-' }    // - bullet
+ *   { type: 'text',   text: 'TODO' }                      // free prose
+ *   { type: 'bullet', text: 'Hades', secret: true }       // GM-only, see below
+ *
+ * Text that appears before the first heading is collected under the empty
+ * heading `''`.
+ *
+ * Explicit cross-reference markup (`[[target]]` or `[[target|label]]`, see
+ * lib/links.js) is reduced to its label in entry text.
+ *
+ * Lines are classified by the Markdown subset of js/markup.js, so `# Title`
+ * headings, `*` and `1.` list items and `> quotes` work as well, and inline
+ * formatting (`**bold**`, `[label](url)` …) is removed from entry text.
+ *
+ * GM secrets are marked with `[GM]`:
+ *
+ *   [GM] ●	Secretly serves Hades      one secret line
+ *   [GM] Family:                       a secret section, up to the next heading
+ *   [GM]                               everything between the markers
+ *   …
+ *   [/GM]
+ *
+ * Secret entries get `secret: true`; stripSecrets() removes them for the
+ * player build.
+ */
+
+const { classifyLine, stripInline } = require('../../js/markup');
+
+const LINK_RE    = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+
+const SECRET_LINE_RE  = /^\s*\[GM\][ \t]*/i;
+const SECRET_OPEN_RE  = /^\s*\[GM\]\s*$/i;
+const SECRET_CLOSE_RE = /^\s*\[\/GM\]\s*$/i;
+
+/**
+ * Replace `[[target|label]]` markup with its label (or `[[target]]` with the
+ * last path segment of the target)
+ * @param {string} text - Text possibly containing link markup
+ * @returns {string} Plain text
+ */
+function stripLinkMarkup(text) {
+  return text.replace(LINK_RE, (_, target, label) =>
+    (label || target.split('/').pop()).trim()
+  );
+}
+
+/**
+ * Split text into lines flagged as secret or not, with `[GM]` markers removed
+ * (block marker lines are dropped entirely)
+ * @param {string} text - Raw info text
+ * @returns {Array<{text: string, secret: boolean}>} Lines in file order
+ */
+function markSecretLines(text) {
+  const lines = [];
+  let inBlock   = false;
+  let inSection = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    if (SECRET_OPEN_RE.test(rawLine))  { inBlock = true;  continue; }
+    if (SECRET_CLOSE_RE.test(rawLine)) { inBlock = false; continue; }
+
+    const marked  = SECRET_LINE_RE.test(rawLine);
+    const line    = rawLine.replace(SECRET_LINE_RE, '');
+    const trimmed = line.trim();
+
+    // a heading starts a new section, secret only if the heading is marked
+    if (trimmed && ['heading', 'field'].includes(classifyLine(trimmed).kind)) {
+      inSection = marked;
+    }
+
+    lines.push({ text: line, secret: inBlock || inSection || marked });
+  }
+
+  return lines;
+}
+
+/**
+ * Remove all GM secrets from info text
+ * @param {string|null} text - Raw info text
+ * @returns {string|null} Text without secret lines or markers
+ */
+function stripSecrets(text) {
+  if (!text) return text;
+  return markSecretLines(text)
+    .filter(line => !line.secret)
+    .map(line => line.text)
+    .join('\n');
+}
+
+/**
+ * Check for a `[GM]` block that is never closed with `[/GM]`
+ * @param {string|null} text - Raw info text
+ * @returns {boolean} True if a block is left open
+ */
+function hasUnclosedSecret(text) {
+  let open = false;
+  for (const line of (text || '').split(/\r?\n/)) {
+    if (SECRET_OPEN_RE.test(line))  open = true;
+    if (SECRET_CLOSE_RE.test(line)) open = false;
+  }
+  return open;
+}
+
+/**
+ * Split an inline value list on commas that are not inside parentheses
+ * @param {string} value - e.g. "Protection (Athena), Creation (Hera)"
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+function splitInlineValues(value) {
+  const parts = [];
+  let depth   = 0;
+  let current = '';
+
+  for (const ch of value) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth = Math.max(0, depth - 1);
+
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Plain text of an entry: link markup reduced to labels, formatting removed
+ * @param {string} text - Raw entry text
+ * @returns {string} Trimmed plain text
+ */
+function plainText(text) {
+  return stripInline(stripLinkMarkup(text)).trim();
+}
+
+/**
+ * Parse info.txt contents into sections
+ * @param {string|null} text - Raw file contents
+ * @returns {Object<string, Array<Object>>} Heading → entries, in file order
+ */
+function parseInfo(text) {
+  const sections = {};
+  if (!text) return sections;
+
+  let current = null;
+
+  function ensure(heading) {
+    if (!sections[heading]) sections[heading] = [];
+    current = heading;
+    return sections[heading];
+  }
+
+  for (const { text: rawLine, secret } of markSecretLines(text)) {
+    if (!rawLine.trim()) continue;
+
+    const mark = entry => (secret ? { ...entry, secret: true } : entry);
+    const line = classifyLine(rawLine.trim());
+    const add  = entry => ensure(current === null ? '' : current).push(mark(entry));
+
+    if (line.kind === 'item') {
+      const entry = { type: 'bullet', text: plainText(line.text) };
+      if (line.marker === '+' || line.marker === '-') entry.polarity = line.marker;
+      add(entry);
+    } else if (line.kind === 'heading') {
+      ensure(plainText(line.text));
+    } else if (line.kind === 'field') {
+      const entries = ensure(line.label);
+      splitInlineValues(line.text).forEach(value => {
+        entries.push(mark({ type: 'bullet', text: plainText(value) }));
+      });
+    } else if (line.text) {
+      add({ type: 'text', text: plainText(line.text) });
+    }
+  }
+
+  return sections;
+}
+
+module.exports = {
+  LINK_RE,
+  SECRET_CLOSE_RE,
+  SECRET_OPEN_RE,
+  hasUnclosedSecret,
+  markSecretLines,
+  parseInfo,
+  plainText,
+  splitInlineValues,
+  stripLinkMarkup,
+  stripSecrets
+};
@@ -0,0 +1,152 @@
+/**
+ * scripts/lib/item-meta.js
+ *
+ * Structured, non-prose data for a single item. It can live in a `meta.json`
+ * next to `info.txt`:
+ *
+ *   {
+ *     "aliases": ["Amazonky", "AMZ"],
+ *     "tags":    ["sisterhood", "nature"],
+ *     "gmOnly":  true,
+ *     "year":    1
+ *   }
+ *
+ * or in a front-matter block at the top of an info file:
+ *
+ *   ---
+ *   aliases: Amazonky, AMZ
+ *   tags: sisterhood, nature
+ *   gmOnly: true
+ *   ---
+ *   AKA:
+ *   …
+ *
+ * `aliases` and `tags` are lists; `flags` may list flag names explicitly.
+ * Any other key holding a boolean becomes a flag, anything else a free-form
+ * field. Both sources are merged; `meta.json` wins on conflicting keys.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { splitInlineValues } = require('./info-parser');
+
+// item-level metadata file (folder-level `_meta.json` is lib/ordering.js)
+const ITEM_META_FILE = 'meta.json';
+
+const FRONT_MATTER_RE = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const FIELD_RE        = /^([\w-]+)\s*:\s*(.*)$/;
+const LIST_KEYS       = new Set(['aliases', 'tags', 'flags']);
+
+/**
+ * Parse a front-matter value: booleans, numbers, `[a, b]` or comma lists
+ * for list keys, plain strings otherwise
+ * @param {string} key - Field name
+ * @param {string} value - Raw text after the colon
+ * @returns {*} Parsed value
+ */
+function parseValue(key, value) {
+  const text = value.trim().replace(/^\[(.*)\]$/, '$1');
+  if (LIST_KEYS.has(key)) return splitInlineValues(text);
+  if (text === 'true')  return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Split a leading `---` front-matter block off info text
+ * @param {string|null} text - Raw file contents
+ * @returns {{meta: Object|null, body: string|null}} Parsed block (null if
+ *   none) and the remaining text
+ */
+function parseFrontMatter(text) {
+  const match = text ? text.match(FRONT_MATTER_RE) : null;
+  if (!match) return { meta: null, body: text };
+
+  const meta = {};
+  for (const rawLine of match[1].split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const field = line.match(FIELD_RE);
+    if (field) meta[field[1]] = parseValue(field[1], field[2]);
+  }
+
+  return { meta, body: text.slice(match[0].length) };
+}
+
+/**
+ * Read an item's `meta.json`
+ * @param {string} itemPath - Absolute item folder path
+ * @returns {Promise<Object|null>} Parsed metadata, or null if absent
+ */
+async function readItemMeta(itemPath) {
+  const file = path.join(itemPath, ITEM_META_FILE);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .filter(v => typeof v === 'string' || typeof v === 'number')
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Merge metadata sources into the manifest's item fields
+ * @param {Array<Object|null>} sources - Raw metadata, lowest priority first
+ * @returns {{aliases: string[], tags: string[], flags: Object<string, boolean>,
+ *   fields: Object<string, *>}}
+ */
+function mergeItemMeta(sources) {
+  const aliases = new Set();
+  const tags    = new Set();
+  const flags   = {};
+  const fields  = {};
+
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue;
+
+    for (const [key, value] of Object.entries(source)) {
+      if (key === 'aliases') {
+        toList(value).forEach(alias => aliases.add(alias));
+      } else if (key === 'tags') {
+        toList(value).forEach(tag => tags.add(tag));
+      } else if (key === 'flags') {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          Object.entries(value).forEach(([flag, on]) => { flags[flag] = Boolean(on); });
+        } else {
+          toList(value).forEach(flag => { flags[flag] = true; });
+        }
+      } else if (typeof value === 'boolean') {
+        flags[key] = value;
+      } else if (value !== null && typeof value !== 'object') {
+        fields[key] = value;
+      } else if (Array.isArray(value)) {
+        fields[key] = toList(value);
+      }
+    }
+  }
+
+  return {
+    aliases: [...aliases],
+    tags:    [...tags],
+    flags,
+    fields
+  };
+}
+
+module.exports = {
+  ITEM_META_FILE,
+  mergeItemMeta,
+  parseFrontMatter,
+  readItemMeta
+};
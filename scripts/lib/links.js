@@ -0,0 +1,168 @@
+/**
+ * scripts/lib/links.js
+ *
+ * Cross-references between entries.
+ *
+ * Mentions of another entry's name in info text become links automatically:
+ * "Wife Theano of Thebes" links to `characters/teachers/theano-of-thebes`.
+ * Longer names win over shorter ones they contain, so "Nikephoros of Athens"
+ * is not also read as a mention of "Athens".
+ *
+ * A name shared by several entries (two "Athens") is ambiguous; the link
+ * keeps every candidate. Writers can pick one explicitly with
+ *
+ *   [[Greek Cities/Athens]]                 folder path (any trailing part)
+ *   [[locations/greek-cities/athens|Athens]] entry ID, with a label
+ *
+ * which also resolves every other mention of the same label in that entry.
+ * A Markdown link to an entry route, `[the librarian](#/characters/…)`, is
+ * an explicit link as well.
+ *
+ * Each item (and each of its translations) gains:
+ *   links:     [{ text: "Athens", ids: ["locations/greek-cities/athens"] }]
+ * and each item gains, across all languages:
+ *   backlinks: ["characters/male-1st-years/lambros-of-athens", …]
+ */
+
+const { LINK_RE, plainText, stripLinkMarkup } = require('./info-parser');
+
+// [label](#/entry/id) – Markdown links to an entry route (see js/markup.js)
+const ROUTE_LINK_RE = /\[([^\]]+)\]\(#\/([a-z0-9][a-z0-9/-]*)\)/g;
+
+// names shorter than this are never auto-linked
+const MIN_NAME_LENGTH = 3;
+
+/**
+ * Escape the characters that have a meaning in a regular expression
+ * @param {string} text - Literal text, e.g. an entry name
+ * @returns {string} Pattern source matching the text as written
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Collect every item with the path strings it can be referred to by
+ * @param {Object} manifest - Scanned manifest
+ * @returns {Array<{item: Object, paths: string[]}>}
+ */
+function collectEntries(manifest) {
+  const entries = [];
+  for (const category of manifest.categories) {
+    for (const subcategory of category.subcategories) {
+      for (const item of subcategory.items) {
+        entries.push({
+          item,
+          paths: [
+            item.id,
+            item.name,
+            [subcategory.name, item.name].join('/'),
+            [subcategory.displayName || subcategory.name, item.name].join('/'),
+            [category.name, subcategory.name, item.folder || item.name].join('/'),
+            [category.name, subcategory.displayName || subcategory.name, item.name].join('/')
+          ].map(p => p.toLowerCase())
+        });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Resolve an explicit `[[target]]`
+ * @param {string} target - Text inside the brackets (before any "|")
+ * @param {Array} entries - Result of collectEntries()
+ * @returns {string[]} Matching item IDs (empty if unresolved)
+ */
+function resolveTarget(target, entries) {
+  const key = target.trim().replace(/^\/+|\/+$/g, '').toLowerCase();
+  return entries
+    .filter(entry => entry.paths.includes(key))
+    .map(entry => entry.item.id);
+}
+
+/**
+ * Find the links in one info text
+ * @param {string|null} info - Raw info text
+ * @param {string} selfId - ID of the item the text belongs to (never linked)
+ * @param {Array} entries - Result of collectEntries()
+ * @param {Array<[string, string[]]>} names - [name, ids] pairs, longest first
+ * @returns {Array<{text: string, ids: string[]}>} Links, one per distinct text
+ */
+function findLinks(info, selfId, entries, names) {
+  if (!info) return [];
+
+  const links = new Map();
+
+  // 1. explicit [[target|label]] links
+  for (const match of info.matchAll(LINK_RE)) {
+    const label = (match[2] || match[1].split('/').pop()).trim();
+    const ids   = resolveTarget(match[1], entries);
+    links.set(label, { text: label, ids, explicit: true });
+  }
+  for (const match of info.matchAll(ROUTE_LINK_RE)) {
+    const label = plainText(match[1]);
+    links.set(label, { text: label, ids: resolveTarget(match[2], entries), explicit: true });
+  }
+
+  // 2. automatic mentions in the plain text, longest names first
+  let text = stripLinkMarkup(info);
+  for (const [name, ids] of names) {
+    const targets = ids.filter(id => id !== selfId);
+    if (targets.length === 0) continue;
+
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'gu');
+    if (!re.test(text)) continue;
+
+    if (!links.has(name)) {
+      links.set(name, { text: name, ids: targets });
+    }
+    // blank out the match so shorter names inside it are not linked again
+    text = text.replace(re, m => ' '.repeat(m.length));
+  }
+
+  return [...links.values()].map(({ text: t, ids }) => ({ text: t, ids }));
+}
+
+/**
+ * Add `links` and `backlinks` to every item of a scanned manifest
+ * @param {Object} manifest - Scanned manifest (mutated)
+ * @returns {Object} The same manifest
+ */
+function resolveLinks(manifest) {
+  const entries = collectEntries(manifest);
+
+  const byName = new Map();
+  entries.forEach(({ item }) => {
+    if (item.name.length < MIN_NAME_LENGTH) return;
+    if (!byName.has(item.name)) byName.set(item.name, []);
+    byName.get(item.name).push(item.id);
+  });
+  const names = [...byName.entries()].sort((a, b) => b[0].length - a[0].length);
+
+  const backlinks = new Map(entries.map(({ item }) => [item.id, new Set()]));
+
+  entries.forEach(({ item }) => {
+    const contents = [item, ...Object.values(item.translations || {})];
+
+    contents.forEach(content => {
+      content.links = findLinks(content.info, item.id, entries, names);
+      content.links.forEach(link => {
+        link.ids.forEach(id => {
+          if (id !== item.id) backlinks.get(id).add(item.id);
+        });
+      });
+    });
+  });
+
+  entries.forEach(({ item }) => {
+    item.backlinks = [...backlinks.get(item.id)];
+  });
+
+  return manifest;
+}
+
+module.exports = {
+  resolveLinks,
+  resolveTarget
+};
@@ -0,0 +1,118 @@
+/**
+ * scripts/lib/ordering.js
+ *
+ * Display names and explicit ordering for database folders.
+ *
+ * A folder's position and label can come from (highest priority first):
+ *
+ *   1. `order.txt` in the parent folder – one child folder name per line;
+ *      listed children come first, in that order.
+ *   2. `_meta.json` in the folder itself – `{ "displayName": "…", "order": 2 }`
+ *      (category and subcategory folders only).
+ *   3. A numeric prefix on the folder name – "2. Female 1st-years" has
+ *      order 2 and display name "Female 1st-years". Item folders use the
+ *      display name as the item's `name`.
+ *
+ * Folders without any of these sort after ordered ones, alphabetically.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { ORDER_PREFIX_RE } = require('./slug');
+
+// files consumed here, so the checker does not report them as stray
+const ORDERING_FILES = new Set(['order.txt', '_meta.json']);
+
+/**
+ * Split an ordering prefix off a folder name
+ * @param {string} name - Folder name, e.g. "3. Teachers"
+ * @returns {{order: number|null, displayName: string}}
+ */
+function parseOrderPrefix(name) {
+  const match = name.match(ORDER_PREFIX_RE);
+  if (!match) return { order: null, displayName: name };
+
+  const displayName = name.slice(match[0].length).trim();
+  if (!displayName) return { order: null, displayName: name };
+
+  return { order: parseInt(match[0], 10), displayName };
+}
+
+/**
+ * Read `_meta.json` from a folder
+ * @param {string} dir - Absolute folder path
+ * @returns {Promise<Object>} Parsed metadata, or {} if absent
+ */
+async function readFolderMeta(dir) {
+  const file = path.join(dir, '_meta.json');
+  if (!fs.existsSync(file)) return {};
+
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read `order.txt` from a folder
+ * @param {string} dir - Absolute folder path
+ * @returns {Promise<string[]>} Child folder names in order ([] if absent)
+ */
+async function readOrderFile(dir) {
+  const file = path.join(dir, 'order.txt');
+  if (!fs.existsSync(file)) return [];
+
+  const text = await fs.promises.readFile(file, 'utf8');
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Resolve display name and order for a folder
+ * @param {string} name - Folder name
+ * @param {Object} meta - Contents of the folder's `_meta.json`
+ * @param {string[]} orderList - Parent folder's `order.txt` entries
+ * @returns {{order: number|null, displayName: string}}
+ */
+function resolveOrdering(name, meta, orderList) {
+  const prefix   = parseOrderPrefix(name);
+  const listedAt = orderList.indexOf(name);
+
+  let order = prefix.order;
+  if (typeof meta.order === 'number') order = meta.order;
+  if (listedAt >= 0) order = listedAt + 1;
+
+  return {
+    order,
+    displayName: typeof meta.displayName === 'string' && meta.displayName.trim()
+      ? meta.displayName.trim()
+      : prefix.displayName
+  };
+}
+
+/**
+ * Sort entries in place: explicit `order` first, then by display name
+ * @param {Array<{name: string, order: number|null, displayName?: string}>} entries
+ * @returns {Array} The same array
+ */
+function sortByOrder(entries) {
+  return entries.sort((a, b) => {
+    const ao = a.order === null ? Infinity : a.order;
+    const bo = b.order === null ? Infinity : b.order;
+    if (ao !== bo) return ao - bo;
+    return (a.displayName || a.name).localeCompare(b.displayName || b.name, undefined, { sensitivity: 'base' });
+  });
+}
+
+module.exports = {
+  ORDERING_FILES,
+  parseOrderPrefix,
+  readFolderMeta,
+  readOrderFile,
+  resolveOrdering,
+  sortByOrder
+};
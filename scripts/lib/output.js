@@ -0,0 +1,165 @@
+/**
+ * scripts/lib/output.js
+ *
+ * Splits the scanned manifest into the files the front end loads:
+ *
+ *   database/manifest.json                       lightweight index (names, IDs,
+ *                                                image paths, structure)
+ *   database/generated/details/<cat>/<sub>.json  info text, sections, links and
+ *                                                embedded images for the items of
+ *                                                one subcategory
+ *   database/generated/search.json               searchable text per item ID and
+ *                                                language ("" = undeclared), for
+ *                                                snippets and phrase queries
+ *   database/generated/search-index.json         prebuilt word index (see
+ *                                                js/search.js serializeIndex)
+ *
+ * Detail files are fetched when a subcategory is first viewed; the search
+ * files when the search box is first focused. The index's `search` entry
+ * names them with the index format version and a content hash; the front
+ * end refetches a cached copy whose hash does not match. The index's
+ * `version` is a hash of everything generated, for offline caches.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const { stripLinkMarkup } = require('./info-parser');
+const { stripInline }     = require('../../js/markup');
+const {
+  INDEX_VERSION,
+  createIndex,
+  serializeIndex
+} = require('../../js/search');
+
+// directory (inside database/) that holds generated files; never scanned
+const GENERATED_DIR = 'generated';
+
+// item fields that live in detail files rather than the index
+const DETAIL_FIELDS = ['info', 'sections', 'links', 'backlinks', 'translations', 'attachments'];
+
+/**
+ * Searchable form of info text, without link markup or formatting
+ * @param {string|null} info - Raw info text
+ * @returns {string} Plain text
+ */
+function searchText(info) {
+  return info ? stripInline(stripLinkMarkup(info)) : '';
+}
+
+/**
+ * Split a full manifest into index and detail/search files
+ * @param {Object} manifest - Result of scanDatabase()
+ * @returns {{index: Object, files: Object<string, Object>}} Index plus
+ *   generated files keyed by path relative to database/
+ */
+function splitManifest(manifest) {
+  const files  = {};
+  const search = { items: {} };
+  const docs   = [];
+
+  const index = {
+    ...manifest,
+    categories: manifest.categories.map(category => ({
+      ...category,
+      subcategories: category.subcategories.map(subcategory => {
+        const group       = [category.displayName || category.name, subcategory.displayName || subcategory.name];
+        const detailsPath = [GENERATED_DIR, 'details', `${subcategory.id}.json`].join('/');
+        const details     = { items: {} };
+
+        const items = subcategory.items.map(item => {
+          const summary = { ...item };
+          details.items[item.id] = {};
+          DETAIL_FIELDS.forEach(field => {
+            details.items[item.id][field] = item[field];
+            delete summary[field];
+          });
+          search.items[item.id] = { [item.language || '']: searchText(item.info) };
+          Object.entries(item.translations || {}).forEach(([lang, t]) => {
+            search.items[item.id][lang] = searchText(t.info);
+          });
+          docs.push({
+            id:    item.id,
+            name:  item.name,
+            alias: item.aliases || [],
+            tag:   item.tags || [],
+            group,
+            text:  Object.values(search.items[item.id])
+          });
+          return summary;
+        });
+
+        files[detailsPath] = details;
+
+        return {
+          ...subcategory,
+          details: ['database', detailsPath].join('/'),
+          items
+        };
+      })
+    }))
+  };
+
+  // both search files share one hash, so a stale cache of either is noticed
+  const wordIndex = serializeIndex(createIndex(docs), docs.map(doc => doc.id));
+  const hash      = crypto.createHash('sha1')
+    .update(JSON.stringify(wordIndex))
+    .update(JSON.stringify(search))
+    .digest('hex')
+    .slice(0, 10);
+  const textPath  = [GENERATED_DIR, 'search.json'].join('/');
+  const indexPath = [GENERATED_DIR, 'search-index.json'].join('/');
+
+  files[textPath]  = { hash, ...search };
+  files[indexPath] = { version: wordIndex.version, hash, ids: wordIndex.ids, words: wordIndex.words };
+  index.search = {
+    version: INDEX_VERSION,
+    hash,
+    index: ['database', indexPath].join('/'),
+    text:  ['database', textPath].join('/')
+  };
+
+  // changes with any generated content; the service worker (sw.js) refreshes
+  // its caches when it does
+  const version = crypto.createHash('sha1')
+    .update(JSON.stringify(index))
+    .update(JSON.stringify(files))
+    .digest('hex')
+    .slice(0, 10);
+
+  return { index: { version, ...index }, files };
+}
+
+/**
+ * Write the index and generated files, replacing any previous output
+ * @param {string} rootDir - Absolute path of `database/`
+ * @param {Object} manifest - Result of scanDatabase()
+ * @returns {Promise<string[]>} Absolute paths written
+ */
+async function writeOutputs(rootDir, manifest) {
+  const { index, files } = splitManifest(manifest);
+  const written = [];
+
+  // remove stale detail files from renamed/deleted subcategories
+  await fs.promises.rm(path.join(rootDir, GENERATED_DIR), { recursive: true, force: true });
+
+  const indexPath = path.join(rootDir, 'manifest.json');
+  await fs.promises.writeFile(indexPath, JSON.stringify(index, null, 2), 'utf8');
+  written.push(indexPath);
+
+  for (const [rel, data] of Object.entries(files)) {
+    const outPath = path.join(rootDir, ...rel.split('/'));
+    await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.promises.writeFile(outPath, JSON.stringify(data), 'utf8');
+    written.push(outPath);
+  }
+
+  return written;
+}
+
+module.exports = {
+  GENERATED_DIR,
+  splitManifest,
+  writeOutputs
+};
@@ -0,0 +1,154 @@
+/**
+ * scripts/lib/pages.js
+ *
+ * Static per-entry pages for link previews. Hash routes (`#/…`) are invisible
+ * to chat apps and crawlers, so every item also gets
+ *
+ *   entry/<item id>/index.html
+ *
+ * a copy of `index.html` with its own title, description excerpt, canonical
+ * URL and avatar as `og:image`. A `<base>` tag points back at the site root,
+ * so the page boots the normal SPA, which opens the entry named in
+ * `<meta name="aoh-entry">`. `sitemap.xml` lists the root and every page.
+ */
+
+const { plainText }  = require('./info-parser');
+const { escapeHtml } = require('../../js/vtt-export');
+
+// folder (relative to the site root) holding the entry pages
+const ENTRY_PAGES_DIR = 'entry';
+
+// length of the description excerpt, in characters
+const EXCERPT_LENGTH = 160;
+
+/**
+ * Build a one-line description from info text
+ * @param {string|null} info - Raw info text (already player-safe)
+ * @returns {string} Excerpt, cut at a word boundary (empty if no text)
+ */
+function excerpt(info) {
+  const text = (info || '')
+    .split(/\r?\n/)
+    .map(line => plainText(line.replace(/^\s*(?:(?:[●•*+\-–]|#{1,3}|\d{1,3}[.)])\s+|>\s?)/, '')))
+    .filter(Boolean)
+    .join(' · ')
+    .replace(/:\s·/g, ':');
+
+  if (text.length <= EXCERPT_LENGTH) return text;
+  const cut = text.slice(0, EXCERPT_LENGTH - 1);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length) + '…';
+}
+
+/**
+ * URL of an entry's page
+ * @param {string} baseUrl - Site root URL, ending in "/"
+ * @param {string} id - Item ID
+ * @returns {string} Absolute URL
+ */
+function entryPageUrl(baseUrl, id) {
+  return `${baseUrl}${ENTRY_PAGES_DIR}/${id}/`;
+}
+
+/**
+ * Replace a `<meta>` tag's content, matched by its name/property attribute
+ * @param {string} html - Document
+ * @param {string} attr - "name" or "property"
+ * @param {string} key - Attribute value, e.g. "og:title"
+ * @param {string} value - New content (unescaped)
+ * @returns {string} Updated document
+ */
+function setMeta(html, attr, key, value) {
+  const re = new RegExp(`(<meta ${attr}="${key}" content=")[^"]*(")`);
+  return html.replace(re, (_, before, after) => before + escapeHtml(value) + after);
+}
+
+/**
+ * Render the page of one entry from the index.html template
+ * @param {string} template - Contents of index.html
+ * @param {Object} entry - `{ item, category, subcategory }` (full manifest objects)
+ * @param {string} baseUrl - Site root URL, ending in "/"
+ * @returns {string} HTML
+ */
+function renderEntryPage(template, { item, category, subcategory }, baseUrl) {
+  const url         = entryPageUrl(baseUrl, item.id);
+  const group       = subcategory.displayName || subcategory.name;
+  const title       = `${item.name} — ${group} — Academy of Heroes`;
+  const description = excerpt(item.info) ||
+    `${item.name} from ${group} (${category.displayName || category.name}) in the Academy of Heroes database.`;
+  const depth       = ENTRY_PAGES_DIR.split('/').length + item.id.split('/').length;
+
+  let html = template;
+  html = html.replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`);
+  html = setMeta(html, 'name', 'description', description);
+  html = setMeta(html, 'property', 'og:title', title);
+  html = setMeta(html, 'property', 'og:description', description);
+  html = setMeta(html, 'property', 'og:type', 'article');
+  html = setMeta(html, 'property', 'og:url', url);
+  html = setMeta(html, 'name', 'twitter:title', title);
+  html = setMeta(html, 'name', 'twitter:description', description);
+
+  if (item.avatar) {
+    const image = item.avatarMeta
+      ? `${baseUrl}${encodeURI(item.avatar)}?v=${item.avatarMeta.hash}`
+      : `${baseUrl}${encodeURI(item.avatar)}`;
+    html = setMeta(html, 'property', 'og:image', image);
+    html = setMeta(html, 'name', 'twitter:card', 'summary');
+  }
+
+  const head = [
+    `<base href="${'../'.repeat(depth)}">`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<meta name="aoh-entry" content="${escapeHtml(item.id)}">`
+  ];
+  if (item.avatarMeta && item.avatarMeta.width) {
+    head.push(
+      `<meta property="og:image:width" content="${item.avatarMeta.width}">`,
+      `<meta property="og:image:height" content="${item.avatarMeta.height}">`
+    );
+  }
+
+  // <base> must precede every relative URL, so it goes right after charset
+  return html.replace(/(<meta charset="[^"]*">)/i, `$1\n  ${head.join('\n  ')}`);
+}
+
+/**
+ * Point the root page's Open Graph URL/image at the real site
+ * @param {string} template - Contents of index.html
+ * @param {string} baseUrl - Site root URL, ending in "/"
+ * @param {string|null} image - Site-relative path of a preview image, if any
+ * @returns {string} HTML
+ */
+function renderRootPage(template, baseUrl, image) {
+  let html = setMeta(template, 'property', 'og:url', baseUrl);
+  if (image) {
+    html = setMeta(html, 'property', 'og:image', baseUrl + encodeURI(image));
+    html = setMeta(html, 'name', 'twitter:card', 'summary');
+  }
+  return html.replace(/(<meta charset="[^"]*">)/i, `$1\n  <link rel="canonical" href="${escapeHtml(baseUrl)}">`);
+}
+
+/**
+ * Render sitemap.xml
+ * @param {string} baseUrl - Site root URL, ending in "/"
+ * @param {string[]} ids - Item IDs with pages
+ * @returns {string} XML
+ */
+function renderSitemap(baseUrl, ids) {
+  const urls = [baseUrl, ...ids.map(id => entryPageUrl(baseUrl, id))];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => `  <url><loc>${escapeHtml(encodeURI(url))}</loc></url>`),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  ENTRY_PAGES_DIR,
+  entryPageUrl,
+  excerpt,
+  renderEntryPage,
+  renderRootPage,
+  renderSitemap
+};
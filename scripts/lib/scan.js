@@ -0,0 +1,283 @@
+/**
+ * scripts/lib/scan.js
+ *
+ * Walks the `database/` folder (Category/Subcategory/Item) and builds the
+ * manifest object described in scripts/generate_manifest.js.
+ *
+ * Item text may come in several languages: `info.txt` (written in the
+ * language a category or subcategory `_meta.json` declares as
+ * `{ "language": "cs" }`, if any) plus `info.<lang>.txt` translations.
+ * Aliases, tags, flags and other fields come from an optional `meta.json`
+ * and/or front matter at the top of the info files (see lib/item-meta.js).
+ *
+ * Images embedded in the text (`![alt](map.jpg)`, see js/markup.js) that
+ * exist in the item folder are listed in `attachments`. Filter values for
+ * the grid's filter bar go to `facets` (see lib/facets.js).
+ *
+ * With `player: true` GM secrets are stripped from the text before anything
+ * else (sections, links, search) is derived from it, and items flagged
+ * `gmOnly` are left out.
+ *
+ * Files that the manifest does not pick up are passed to the optional
+ * `onIgnoredFile` callback so that `--check` can report them.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { parseInfo, stripSecrets } = require('./info-parser');
+const { findImages } = require('../../js/markup');
+const { createSlugScope } = require('./slug');
+const {
+  ORDERING_FILES,
+  readFolderMeta,
+  readOrderFile,
+  resolveOrdering,
+  sortByOrder
+} = require('./ordering');
+const { GENERATED_DIR } = require('./output');
+const { readImageInfo } = require('./image-info');
+const { extractFacets } = require('./facets');
+const { resolveLinks }  = require('./links');
+const {
+  ITEM_META_FILE,
+  mergeItemMeta,
+  parseFrontMatter,
+  readItemMeta
+} = require('./item-meta');
+
+// files the generator itself writes into database/
+const GENERATED_FILES = new Set(['manifest.json']);
+
+// per-language info files: info.en.txt, info.cs.txt, info.pt-br.txt …
+const TRANSLATION_RE = /^info\.([a-z]{2,3}(?:-[a-z0-9]+)?)\.txt$/i;
+
+// language used for the main content when only translations exist
+const PREFERRED_LANGUAGE = 'en';
+
+// helper to list only directories, sorted alphabetically
+async function listDirs(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  return entries
+    .filter(e => e.isDirectory())
+    .map(e => e.name)
+    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+// helper to list only files
+async function listFiles(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  return entries.filter(e => e.isFile()).map(e => e.name);
+}
+
+/**
+ * Read an item's info text in every available language
+ *
+ * The main `info`/`sections` come from the plain `info.txt` (in the folder's
+ * declared `_meta.json` language, if any); without one, from the preferred
+ * language file or the first one found. Remaining languages go into
+ * `translations`. Front-matter blocks are removed from the text and
+ * returned separately.
+ *
+ * @param {string} itemPath - Absolute item folder path
+ * @param {string|null} infoFile - Plain info file name
+ * @param {string[]} langFiles - `info.<lang>.txt` file names
+ * @param {string|null} folderLanguage - Language declared for the subcategory
+ * @param {boolean} player - Strip GM secrets
+ * @returns {Promise<{content: Object, frontMatter: Object[]}>} Item fields
+ *   `{ info, language, languages, sections, translations }` and the parsed
+ *   front-matter blocks
+ */
+async function readItemContent(itemPath, infoFile, langFiles, folderLanguage, player) {
+  const frontMatter = [];
+  const read = async fn => {
+    const { meta, body } = parseFrontMatter(await fs.promises.readFile(path.join(itemPath, fn), 'utf8'));
+    if (meta) frontMatter.push(meta);
+    return player ? stripSecrets(body) : body;
+  };
+
+  const texts = {};
+  for (const fn of langFiles) {
+    texts[fn.match(TRANSLATION_RE)[1].toLowerCase()] = await read(fn);
+  }
+
+  let info     = null;
+  let language = null;
+  if (infoFile) {
+    info     = await read(infoFile);
+    language = folderLanguage;
+  } else if (langFiles.length > 0) {
+    language = PREFERRED_LANGUAGE in texts ? PREFERRED_LANGUAGE : Object.keys(texts)[0];
+    info     = texts[language];
+  }
+  if (language) delete texts[language];
+
+  const translations = {};
+  for (const [lang, text] of Object.entries(texts)) {
+    translations[lang] = { info: text, sections: parseInfo(text) };
+  }
+
+  const content = {
+    info,
+    language,
+    languages: [language, ...Object.keys(translations)].filter(Boolean),
+    sections: parseInfo(info),
+    translations
+  };
+
+  return { content, frontMatter };
+}
+
+/**
+ * Scan the database folder
+ * @param {string} rootDir - Absolute path of `database/`
+ * @param {Object} [options]
+ * @param {function(string): void} [options.onIgnoredFile] - Receives the
+ *   `database/…` path of every file the manifest does not reference
+ * @param {boolean} [options.player] - Build the player-safe manifest
+ * @returns {Promise<Object>} Manifest `{ audience: 'gm'|'player', categories: [...] }`
+ */
+async function scanDatabase(rootDir, options = {}) {
+  const onIgnoredFile = options.onIgnoredFile || (() => {});
+  const player        = Boolean(options.player);
+  const manifest      = { audience: player ? 'player' : 'gm', categories: [] };
+
+  for (const fn of await listFiles(rootDir)) {
+    if (!GENERATED_FILES.has(fn) && !ORDERING_FILES.has(fn)) {
+      onIgnoredFile(['database', fn].join('/'));
+    }
+  }
+
+  // scan top‐level categories
+  const categories   = (await listDirs(rootDir)).filter(dir => dir !== GENERATED_DIR);
+  const categorySlug = createSlugScope();
+  const rootOrder    = await readOrderFile(rootDir);
+  for (const cat of categories) {
+    const catPath = path.join(rootDir, cat);
+    const catId   = categorySlug(cat);
+    const subcats = await listDirs(catPath);
+    const subSlug = createSlugScope();
+    const catMeta = await readFolderMeta(catPath);
+    const subOrder = await readOrderFile(catPath);
+
+    for (const fn of await listFiles(catPath)) {
+      if (!ORDERING_FILES.has(fn)) onIgnoredFile(['database', cat, fn].join('/'));
+    }
+
+    const subcategories = [];
+    for (const sub of subcats) {
+      const subPath = path.join(catPath, sub);
+      const subId   = `${catId}/${subSlug(sub)}`;
+      const files   = await listFiles(subPath);
+      const subMeta = await readFolderMeta(subPath);
+      const itemOrder = await readOrderFile(subPath);
+      const subLanguage = subMeta.language || catMeta.language || null;
+
+      // find optional thumbnail.*
+      const thumb = files.find(fn => /^thumbnail\.[^.]+$/i.test(fn)) || null;
+      const thumbnail = thumb
+        ? ['database', cat, sub, thumb].join('/')
+        : null;
+      const thumbnailMeta = thumb
+        ? await readImageInfo(path.join(subPath, thumb))
+        : null;
+
+      files
+        .filter(fn => fn !== thumb && !ORDERING_FILES.has(fn))
+        .forEach(fn => onIgnoredFile(['database', cat, sub, fn].join('/')));
+
+      // scan items
+      const items = [];
+      const itemSlug = createSlugScope();
+      const itemDirs = await listDirs(subPath);
+      for (const item of itemDirs) {
+        const itemPath = path.join(subPath, item);
+        const itemFiles = await listFiles(itemPath);
+
+        const avatarFile = itemFiles.find(fn => /^avatar\.[^.]+$/i.test(fn)) || null;
+        const imageFile  = itemFiles.find(fn => /^image\.[^.]+$/i.test(fn))  || null;
+        const infoFile   = itemFiles.find(fn => /^info\.[^.]+$/i.test(fn))   || null;
+        const langFiles  = itemFiles.filter(fn => TRANSLATION_RE.test(fn)).sort();
+
+        // read info text (plain + per-language) if present
+        const { content, frontMatter } = await readItemContent(itemPath, infoFile, langFiles, subLanguage, player);
+
+        // images embedded in any language of the text
+        const attachmentFiles = [content.info, ...Object.values(content.translations).map(t => t.info)]
+          .flatMap(text => findImages(text))
+          .filter((fn, index, all) => all.indexOf(fn) === index && itemFiles.includes(fn));
+
+        itemFiles
+          .filter(fn => fn !== avatarFile && fn !== imageFile && fn !== infoFile && fn !== ITEM_META_FILE)
+          .filter(fn => !langFiles.includes(fn) && !attachmentFiles.includes(fn))
+          .forEach(fn => onIgnoredFile(['database', cat, sub, item, fn].join('/')));
+
+        for (const dir of await listDirs(itemPath)) {
+          onIgnoredFile(['database', cat, sub, item, dir].join('/') + '/');
+        }
+
+        // aliases, tags, flags, fields – meta.json overrides front matter
+        const itemMeta = mergeItemMeta([...frontMatter, await readItemMeta(itemPath)]);
+
+        // slug first, so leaving out secret entries never shifts other IDs
+        const id = `${subId}/${itemSlug(item)}`;
+        if (player && itemMeta.flags.gmOnly) continue;
+
+        // "01. Foo" is shown as "Foo"; `folder` keeps the name on disk
+        const { order, displayName } = resolveOrdering(item, {}, itemOrder);
+
+        items.push({
+          id,
+          name:   displayName,
+          ...(displayName !== item ? { folder: item } : {}),
+          order,
+          avatar: avatarFile
+            ? ['database', cat, sub, item, avatarFile].join('/')
+            : null,
+          image: imageFile
+            ? ['database', cat, sub, item, imageFile].join('/')
+            : null,
+          avatarMeta: avatarFile
+            ? await readImageInfo(path.join(itemPath, avatarFile))
+            : null,
+          imageMeta: imageFile
+            ? await readImageInfo(path.join(itemPath, imageFile))
+            : null,
+          ...itemMeta,
+          ...content,
+          attachments: attachmentFiles.map(fn => ['database', cat, sub, item, fn].join('/')),
+          facets: extractFacets(content.sections)
+        });
+      }
+
+      subcategories.push({
+        id:        subId,
+        name:      sub,
+        ...resolveOrdering(sub, subMeta, subOrder),
+        thumbnail,
+        thumbnailMeta,
+        items: sortByOrder(items)
+      });
+    }
+
+    manifest.categories.push({
+      id:            catId,
+      name:          cat,
+      ...resolveOrdering(cat, catMeta, rootOrder),
+      subcategories: sortByOrder(subcategories)
+    });
+  }
+
+  sortByOrder(manifest.categories);
+
+  // cross-references need every entry, so they are resolved last
+  return resolveLinks(manifest);
+}
+
+module.exports = {
+  PREFERRED_LANGUAGE,
+  TRANSLATION_RE,
+  scanDatabase,
+  listDirs,
+  listFiles
+};
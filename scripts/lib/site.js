@@ -0,0 +1,197 @@
+/**
+ * scripts/lib/site.js
+ *
+ * Builds the player-facing site: a copy of the static front end plus only
+ * the images and generated data of a player manifest (see scanDatabase's
+ * `player` option). Raw `info.txt` files are never copied, so GM secrets
+ * cannot leak through the published folder.
+ *
+ *   dist/
+ *     index.html, sw.js, css/, js/, icons/
+ *     database/manifest.json, database/generated/…
+ *     database/<Category>/<Subcategory>/…   referenced images only (avatars,
+ *                                           images, images embedded in text)
+ *     entry/<item id>/index.html, sitemap.xml
+ *
+ * Entry pages and the sitemap need absolute URLs, so they are only written
+ * when the site's base URL is known (see lib/pages.js).
+ *
+ * A rebuild deletes only the paths above. The output folder must be new,
+ * empty or an earlier build (it holds a BUILD_MARKER file), and may not be
+ * the repository, a folder above it or anything inside `database/`.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { writeOutputs } = require('./output');
+const {
+  ENTRY_PAGES_DIR,
+  renderEntryPage,
+  renderRootPage,
+  renderSitemap
+} = require('./pages');
+
+// front-end files and folders copied as-is
+const STATIC_FILES = ['index.html', 'sw.js', 'css', 'js', 'icons'];
+
+// left in the output folder so a rebuild knows it may replace it
+const BUILD_MARKER = '.player-build';
+
+// Open Graph image of the root page
+const SITE_IMAGE = 'icons/android-chrome-512x512.png';
+
+/**
+ * Collect every image path a manifest references
+ * @param {Object} manifest - Scanned manifest
+ * @returns {string[]} Paths relative to the repository root
+ */
+function collectAssets(manifest) {
+  const assets = [];
+  manifest.categories.forEach(category => {
+    category.subcategories.forEach(subcategory => {
+      if (subcategory.thumbnail) assets.push(subcategory.thumbnail);
+      subcategory.items.forEach(item => {
+        if (item.avatar) assets.push(item.avatar);
+        if (item.image)  assets.push(item.image);
+        (item.attachments || []).forEach(attachment => assets.push(attachment));
+      });
+    });
+  });
+  return assets;
+}
+
+/**
+ * Write an HTML page per item plus sitemap.xml, and fix up the root page
+ * @param {string} outDir - Absolute output folder (index.html already copied)
+ * @param {Object} manifest - Scanned manifest, details included
+ * @param {string} baseUrl - Site root URL, ending in "/"
+ * @returns {Promise<number>} Number of entry pages written
+ */
+async function writeEntryPages(outDir, manifest, baseUrl) {
+  const indexPath = path.join(outDir, 'index.html');
+  const template  = await fs.promises.readFile(indexPath, 'utf8');
+  const ids       = [];
+
+  for (const category of manifest.categories) {
+    for (const subcategory of category.subcategories) {
+      for (const item of subcategory.items) {
+        const pageDir = path.join(outDir, ENTRY_PAGES_DIR, ...item.id.split('/'));
+        await fs.promises.mkdir(pageDir, { recursive: true });
+        await fs.promises.writeFile(
+          path.join(pageDir, 'index.html'),
+          renderEntryPage(template, { item, category, subcategory }, baseUrl),
+          'utf8'
+        );
+        ids.push(item.id);
+      }
+    }
+  }
+
+  await fs.promises.writeFile(indexPath, renderRootPage(template, baseUrl, SITE_IMAGE), 'utf8');
+  await fs.promises.writeFile(path.join(outDir, 'sitemap.xml'), renderSitemap(baseUrl, ids), 'utf8');
+
+  return ids.length;
+}
+
+/**
+ * Check that a folder may be replaced by a build
+ * @param {string} repoDir - Absolute repository root
+ * @param {string} outDir - Absolute output folder
+ * @throws {Error} If the folder is the repository, contains it, lies in
+ *   `database/` or holds files that are not an earlier build
+ */
+function assertSafeOutDir(repoDir, outDir) {
+  const real   = dir => (fs.existsSync(dir) ? fs.realpathSync(dir) : path.resolve(dir));
+  const repo   = real(repoDir);
+  const out    = real(outDir);
+  const inside = (dir, parent) => {
+    const rel = path.relative(parent, dir);
+    return rel === '' || (rel.split(path.sep)[0] !== '..' && !path.isAbsolute(rel));
+  };
+
+  if (inside(repo, out)) {
+    throw new Error(`Refusing to build into ${outDir}: it is or contains the repository`);
+  }
+  if (inside(out, path.join(repo, 'database'))) {
+    throw new Error(`Refusing to build into ${outDir}: it is inside database/`);
+  }
+  if (!fs.existsSync(out)) return;
+
+  if (!fs.statSync(out).isDirectory()) {
+    throw new Error(`Refusing to build into ${outDir}: it is not a folder`);
+  }
+  if (fs.readdirSync(out).length > 0 && !fs.existsSync(path.join(out, BUILD_MARKER))) {
+    throw new Error(`Refusing to build into ${outDir}: it is not empty and was not made by an earlier build (no ${BUILD_MARKER} file)`);
+  }
+}
+
+/**
+ * Write a complete static site for a manifest, replacing an earlier build in
+ * `outDir`
+ * @param {string} repoDir - Absolute repository root
+ * @param {string} outDir - Absolute output folder
+ * @param {Object} manifest - Result of scanDatabase()
+ * @param {Object} [options]
+ * @param {string|null} [options.baseUrl] - Public site URL; entry pages and
+ *   the sitemap are skipped without it
+ * @returns {Promise<{assets: number, data: number, pages: number}>} Images
+ *   copied, data files and entry pages written
+ * @throws {Error} If `outDir` may not be replaced (see assertSafeOutDir)
+ */
+async function buildSite(repoDir, outDir, manifest, options = {}) {
+  const baseUrl = options.baseUrl ? options.baseUrl.replace(/\/*$/, '/') : null;
+
+  assertSafeOutDir(repoDir, outDir);
+  for (const name of [...STATIC_FILES, 'database', ENTRY_PAGES_DIR, 'sitemap.xml']) {
+    await fs.promises.rm(path.join(outDir, name), { recursive: true, force: true });
+  }
+  await fs.promises.mkdir(outDir, { recursive: true });
+  await fs.promises.writeFile(path.join(outDir, BUILD_MARKER), 'Built by scripts/generate_manifest.js --player\n', 'utf8');
+
+  for (const name of STATIC_FILES) {
+    const from = path.join(repoDir, name);
+    if (fs.existsSync(from)) {
+      await fs.promises.cp(from, path.join(outDir, name), { recursive: true });
+    }
+  }
+
+  const assets = collectAssets(manifest);
+  for (const asset of assets) {
+    const to = path.join(outDir, ...asset.split('/'));
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await fs.promises.copyFile(path.join(repoDir, ...asset.split('/')), to);
+  }
+
+  let pages = 0;
+  if (baseUrl) {
+    pages = await writeEntryPages(outDir, manifest, baseUrl);
+    // tells the front end to share entry page URLs
+    manifest.entryPages = `${ENTRY_PAGES_DIR}/`;
+  }
+
+  const written = await writeOutputs(path.join(outDir, 'database'), manifest);
+
+  return { assets: assets.length, data: written.length, pages };
+}
+
+/**
+ * Public site URL from package.json "homepage"
+ * @param {string} repoDir - Absolute repository root
+ * @returns {string|null} URL, or null if not configured
+ */
+function readHomepage(repoDir) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(repoDir, 'package.json'), 'utf8'));
+    return pkg.homepage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  BUILD_MARKER,
+  STATIC_FILES,
+  buildSite,
+  readHomepage
+};
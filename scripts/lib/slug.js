@@ -0,0 +1,60 @@
+/**
+ * scripts/lib/slug.js
+ *
+ * Stable, URL-safe identifiers derived from database folder names.
+ *
+ *   "1. Male 1st-years"  → "male-1st-years"
+ *   "Hades' Watch"       → "hades-watch"
+ *   "Doporučené"         → "doporucene"
+ *
+ * A leading ordering prefix such as "1. " is dropped so that renumbering
+ * folders does not change their IDs.
+ */
+
+const ORDER_PREFIX_RE = /^\s*\d+\s*[.)_-]\s*/;
+
+/**
+ * Convert a folder name to a slug
+ * @param {string} name - Folder name
+ * @returns {string} Lowercase ASCII slug (never empty)
+ */
+function slugify(name) {
+  const slug = String(name)
+    .replace(ORDER_PREFIX_RE, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return slug || 'entry';
+}
+
+/**
+ * Create a slug allocator that keeps slugs unique within one scope
+ * (e.g. among the items of a single subcategory)
+ * Colliding names get "-2", "-3" … in the order they are allocated, so such an
+ * ID can change when a colliding folder is added; `--check` reports them.
+ * @returns {function(string): string} Allocator: name → unique slug
+ */
+function createSlugScope() {
+  const taken = new Set();
+
+  return function allocate(name) {
+    const base = slugify(name);
+    let slug   = base;
+    let n      = 2;
+    while (taken.has(slug)) {
+      slug = `${base}-${n++}`;
+    }
+    taken.add(slug);
+    return slug;
+  };
+}
+
+module.exports = {
+  ORDER_PREFIX_RE,
+  slugify,
+  createSlugScope
+};
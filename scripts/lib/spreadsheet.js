@@ -0,0 +1,527 @@
+/**
+ * scripts/lib/spreadsheet.js
+ *
+ * Converts database items to spreadsheet rows and back. One row per item:
+ *
+ *   path                          name            Place of Origin   Strengths …
+ *   Characters/1. Male 1st-years  Achilles        Phthia            + Speed
+ *                                                                   + Spear
+ *
+ * `path` is the `Category/Subcategory` folder, `name` the item folder and
+ * every other column one info section. A cell holds one entry per line:
+ *
+ *   Thebes            ● bullet (the marker may be typed, too)
+ *   + Agility         + bullet
+ *   - Magic           - bullet
+ *   > TODO            free prose
+ *   [GM] …            GM secret, combined with any of the above
+ *
+ * Text before the first heading uses the `(intro)` column. Link markup
+ * (`[[target|label]]`) is kept as typed.
+ *
+ * Importing only ever writes the item's main info file. Columns present in
+ * the sheet replace those sections (an empty cell removes one). Only sections
+ * whose entries differ are rewritten; every other section, front matter and
+ * every other file in the folder are kept byte for byte. Lines are read with
+ * the rules of js/markup.js, as the site renders them.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { classifyLine } = require('../../js/markup');
+const { SECRET_CLOSE_RE, SECRET_OPEN_RE, markSecretLines, splitInlineValues } = require('./info-parser');
+const { parseFrontMatter } = require('./item-meta');
+const { PREFERRED_LANGUAGE, TRANSLATION_RE } = require('./scan');
+
+const PATH_COLUMN  = 'path';
+const NAME_COLUMN  = 'name';
+const INTRO_COLUMN = '(intro)';
+
+const GM_RE = /^\[GM\]\s*/i;
+
+// folder names the import refuses to create
+const INVALID_NAME_RE = /^\.{0,2}$|[\\/:*?"<>|]/;
+
+/**
+ * Name of the file holding an item's main text, as the scanner picks it
+ * @param {string[]} files - File names in the item folder
+ * @returns {string} Existing main info file, or "info.txt" for a new one
+ */
+function mainInfoFile(files) {
+  const plain = files.find(fn => /^info\.[^.]+$/i.test(fn));
+  if (plain) return plain;
+
+  const langFiles = files.filter(fn => TRANSLATION_RE.test(fn)).sort();
+  return langFiles.find(fn => fn.match(TRANSLATION_RE)[1].toLowerCase() === PREFERRED_LANGUAGE) ||
+    langFiles[0] ||
+    'info.txt';
+}
+
+/**
+ * Turn a classified line into a section entry
+ * @param {Object} info - Result of classifyLine()
+ * @param {string} line - The trimmed line
+ * @param {boolean} secret - Whether the line is a GM secret
+ * @returns {Object} `{ marker, text, secret }`; quotes, numbered items and
+ *   other prose keep their whole line as text
+ */
+function toEntry(info, line, secret) {
+  if (info.kind === 'item' && !info.ordered) return { marker: info.marker, text: info.text.trim(), secret };
+  return { marker: '', text: line, secret };
+}
+
+/**
+ * Check for a `[GM]` or `[/GM]` block marker line
+ * @param {string} line - Raw line
+ * @returns {boolean}
+ */
+function isBlockMarker(line) {
+  return SECRET_OPEN_RE.test(line) || SECRET_CLOSE_RE.test(line);
+}
+
+/**
+ * Follow the block markers in some lines
+ * @param {string[]} lines - Raw lines
+ * @param {boolean} open - Whether a secret block is open before them
+ * @returns {boolean} Whether one is open after them
+ */
+function blockState(lines, open) {
+  return lines.reduce((state, line) =>
+    (SECRET_OPEN_RE.test(line) ? true : SECRET_CLOSE_RE.test(line) ? false : state), open);
+}
+
+/**
+ * Split info text into its sections, keeping the raw lines of each
+ * @param {string|null} text - Info text without front matter
+ * @returns {Array<Object>} Sections in file order, the first being the
+ *   (possibly empty) text before the first heading:
+ *   `{ heading, field, headingLine, lines, entries, openBefore, openAfter }`
+ *   where `lines` are the raw lines (heading, trailing blank lines and
+ *   `[GM]`/`[/GM]` block markers included) and `openBefore`/`openAfter`
+ *   whether a secret block is open at either end
+ */
+function splitSections(text) {
+  const rawLines = text ? text.split('\n') : [];
+  const marked   = markSecretLines(text || '');
+  const sections = [];
+  let open    = false;
+  let current = { heading: '', field: false, headingLine: '', lines: [], entries: [], openBefore: false, openAfter: false };
+  sections.push(current);
+
+  let index = 0;
+  for (const rawLine of rawLines) {
+    // block markers are the lines markSecretLines() drops
+    if (isBlockMarker(rawLine)) {
+      open = SECRET_OPEN_RE.test(rawLine);
+      current.lines.push(rawLine);
+      current.openAfter = open;
+      continue;
+    }
+
+    const { text: lineText, secret } = marked[index++];
+    const line = lineText.trim();
+    const info = line ? classifyLine(line) : null;
+
+    if (info && (info.kind === 'heading' || info.kind === 'field')) {
+      // a block opened right above a heading belongs to its section
+      let end = current.lines.length;
+      while (end > 0 && (isBlockMarker(current.lines[end - 1]) || !current.lines[end - 1].trim())) end--;
+      const first = current.lines.slice(end).findIndex(line => SECRET_OPEN_RE.test(line));
+      const moved = first >= 0 ? current.lines.splice(end + first) : [];
+      current.openAfter = blockState(current.lines, current.openBefore);
+
+      const field = info.kind === 'field';
+      current = {
+        heading: field ? info.label : info.text.trim(),
+        field,
+        headingLine: line,
+        lines: moved,
+        entries: field ? splitInlineValues(info.text).map(value => ({ marker: '●', text: value, secret })) : [],
+        openBefore: current.openAfter,
+        openAfter: open
+      };
+      sections.push(current);
+    } else if (info) {
+      current.entries.push(toEntry(info, line, secret));
+    }
+
+    current.lines.push(rawLine);
+    current.openAfter = open;
+  }
+
+  return sections;
+}
+
+/**
+ * Split info text into sections of entries, keeping markers, secrets and
+ * link markup (unlike parseInfo, which is lossy)
+ * @param {string|null} text - Info text without front matter
+ * @returns {Map<string, Array<Object>>} Heading → `{ marker, text, secret }`
+ *   entries, where marker is "●", "+", "-" or "" for prose
+ */
+function readSections(text) {
+  const sections = new Map();
+  splitSections(text).forEach(({ heading, entries }) => {
+    if (!heading && entries.length === 0) return;
+    sections.set(heading, [...(sections.get(heading) || []), ...entries]);
+  });
+  return sections;
+}
+
+/**
+ * Read one cell line as an entry
+ * @param {string} line - Trimmed line without a `[GM]` prefix
+ * @param {boolean} secret - Whether the line had a `[GM]` prefix
+ * @returns {Object} `{ marker, text, secret }`; unmarked lines are ● bullets
+ */
+function cellLineToEntry(line, secret) {
+  const info = classifyLine(line);
+  if (info.kind === 'item' && !info.ordered) return { marker: info.marker, text: info.text.trim(), secret };
+  if (info.kind === 'quote') return { marker: '', text: info.text.trim(), secret };
+  return { marker: '●', text: line, secret };
+}
+
+/**
+ * Write one section's entries as cell text
+ * @param {Array<Object>} entries - Entries from readSections()
+ * @returns {string} One line per entry
+ */
+function entriesToCell(entries) {
+  return entries.map(({ marker, text, secret }) => {
+    // an unmarked line must not read back as something else
+    const reread = cellLineToEntry(text, false);
+    const plain  = !GM_RE.test(text) && reread.marker === '●' && reread.text === text;
+    const prefix = marker === '●' ? (plain ? '' : '● ') : marker === '' ? '> ' : `${marker} `;
+    return (secret ? '[GM] ' : '') + prefix + text;
+  }).join('\n');
+}
+
+/**
+ * Read cell text back into entries
+ * @param {string} cell - Cell contents
+ * @returns {Array<Object>} Entries; unmarked lines are ● bullets
+ */
+function cellToEntries(cell) {
+  return (cell || '').split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => cellLineToEntry(line.replace(GM_RE, '').trim(), GM_RE.test(line)))
+    .filter(entry => entry.text);
+}
+
+/**
+ * Write a section in the standard info.txt layout
+ * A section that was a one-line field (`Role: Librarian`) stays one if its
+ * entries still fit; a section whose entries are all secret gets a `[GM]`
+ * heading instead of one marker per line.
+ * @param {string} heading - Heading ('' for the text before the first one)
+ * @param {Array<Object>} entries - Entries (at least one)
+ * @param {Object} [original] - The section from splitSections() it replaces
+ * @returns {string[]} Lines
+ */
+function formatSection(heading, entries, original) {
+  const secret = heading !== '' && entries.every(entry => entry.secret);
+  const mark   = secret ? '[GM] ' : '';
+
+  const inline = original && original.field &&
+    entries.every(entry => entry.marker === '●' && entry.secret === secret && !entry.text.includes(','));
+  if (inline) return [`${mark}${heading}: ${entries.map(entry => entry.text).join(', ')}`];
+
+  const lines = heading ? [mark + (original && !original.field ? original.headingLine : `${heading}:`)] : [];
+  entries.forEach(({ marker, text, secret: entrySecret }) => {
+    lines.push((entrySecret && !secret ? '[GM] ' : '') + (marker ? `${marker}\t${text}` : text));
+  });
+  return lines;
+}
+
+/**
+ * Write new lines for a section, closing and reopening a secret block that
+ * runs through it so the lines around it keep their secrecy
+ * @param {string[]} lines - Section lines (empty to drop the section)
+ * @param {{openBefore: boolean, openAfter: boolean}} section - Block state
+ * @returns {string[]} Lines
+ */
+function wrapSection(lines, { openBefore, openAfter }) {
+  if (lines.length === 0) {
+    return openBefore === openAfter ? [] : [openAfter ? '[GM]' : '[/GM]'];
+  }
+  return [...(openBefore ? ['[/GM]'] : []), ...lines, ...(openAfter ? ['[GM]'] : [])];
+}
+
+/**
+ * Replace the sections of info text that a sheet changes
+ * @param {string} body - Info text without front matter
+ * @param {Map<string, Array<Object>>} wanted - Heading → entries from the sheet
+ * @returns {string|null} New text, or null if no section changes
+ */
+function updateSections(body, wanted) {
+  const sections = splitSections(body);
+  const current  = readSections(body);
+  const changed  = new Set([...wanted.keys()].filter(heading =>
+    JSON.stringify(current.get(heading) || []) !== JSON.stringify(wanted.get(heading))));
+  if (changed.size === 0) return null;
+
+  const eol  = body.includes('\r\n') ? '\r' : '';
+  const out  = [];
+  const done = new Set();
+
+  sections.forEach((section, index) => {
+    if (!changed.has(section.heading)) {
+      out.push(...section.lines);
+      return;
+    }
+
+    const trailer = [];
+    const content = section.lines.slice();
+    while (content.length > 0 && !content[content.length - 1].trim()) trailer.unshift(content.pop());
+
+    // a repeated heading is written once, where it first appears
+    const entries = done.has(section.heading) ? [] : wanted.get(section.heading);
+    done.add(section.heading);
+
+    const lines = entries.length > 0 ? formatSection(section.heading, entries, section) : [];
+    out.push(...wrapSection(lines, section).map(line => line + eol));
+    if (lines.length > 0) {
+      out.push(...(trailer.length > 0 || index === sections.length - 1 ? trailer : [eol]));
+    }
+  });
+
+  // new sections go after the last one, in column order
+  const eof = [];
+  while (out.length > 0 && !out[out.length - 1].trim()) eof.unshift(out.pop());
+  const state = sections[sections.length - 1].openAfter;
+
+  [...changed].filter(heading => !done.has(heading) && wanted.get(heading).length > 0).forEach(heading => {
+    if (out.length > 0) out.push(eol);
+    const lines = formatSection(heading, wanted.get(heading));
+    out.push(...wrapSection(lines, { openBefore: state, openAfter: state }).map(line => line + eol));
+  });
+
+  return [...out, ...eof].join('\n');
+}
+
+/**
+ * Build spreadsheet rows for every item of a manifest
+ * @param {Object} manifest - Result of scanDatabase() (GM build)
+ * @returns {string[][]} Header row, then one row per item in display order
+ */
+function manifestToRows(manifest) {
+  const items    = [];
+  const headings = [];
+
+  manifest.categories.forEach(category => {
+    category.subcategories.forEach(subcategory => {
+      subcategory.items.forEach(item => {
+        const sections = readSections(item.info);
+        sections.forEach((_, heading) => {
+          if (!headings.includes(heading)) headings.push(heading);
+        });
+        items.push({ folder: `${category.name}/${subcategory.name}`, name: item.folder || item.name, sections });
+      });
+    });
+  });
+
+  // text before the first heading is rare; keep its column first
+  headings.sort((a, b) => (a === '' ? -1 : b === '' ? 1 : 0));
+
+  return [
+    [PATH_COLUMN, NAME_COLUMN, ...headings.map(heading => heading || INTRO_COLUMN)],
+    ...items.map(({ folder, name, sections }) => [
+      folder,
+      name,
+      ...headings.map(heading => entriesToCell(sections.get(heading) || []))
+    ])
+  ];
+}
+
+/**
+ * Turn parsed CSV rows into item records
+ * @param {string[][]} rows - Header row first
+ * @returns {Array<{line: number, folder: string[], name: string, cells: Map<string, string>}>}
+ *   One record per named row; `line` is the row number for messages
+ * @throws {Error} On a missing path/name column or an invalid row
+ */
+function rowsToRecords(rows) {
+  if (rows.length === 0) throw new Error('The file is empty');
+
+  const header    = rows[0].map(cell => cell.trim());
+  const lower     = header.map(cell => cell.toLowerCase());
+  const pathIndex = lower.indexOf(PATH_COLUMN);
+  const nameIndex = lower.indexOf(NAME_COLUMN);
+  if (pathIndex < 0 || nameIndex < 0) {
+    throw new Error(`The header row needs "${PATH_COLUMN}" and "${NAME_COLUMN}" columns`);
+  }
+
+  const records = [];
+  const seen    = new Set();
+
+  rows.slice(1).forEach((row, index) => {
+    const line   = index + 2;
+    const name   = (row[nameIndex] || '').trim();
+    const folder = (row[pathIndex] || '').split('/').map(part => part.trim()).filter(Boolean);
+    if (!name) return;
+
+    if (folder.length !== 2) {
+      throw new Error(`Row ${line}: path must be "Category/Subcategory", got "${row[pathIndex] || ''}"`);
+    }
+    if ([...folder, name].some(part => INVALID_NAME_RE.test(part))) {
+      throw new Error(`Row ${line}: "${[...folder, name].join('/')}" is not a valid folder name`);
+    }
+
+    const key = [...folder, name].join('/').toLowerCase();
+    if (seen.has(key)) throw new Error(`Row ${line}: "${[...folder, name].join('/')}" appears twice`);
+    seen.add(key);
+
+    const cells = new Map();
+    header.forEach((heading, column) => {
+      if (column === pathIndex || column === nameIndex || !heading) return;
+      cells.set(heading === INTRO_COLUMN ? '' : heading, row[column] || '');
+    });
+
+    records.push({ line, folder, name, cells });
+  });
+
+  return records;
+}
+
+/**
+ * Work out which info files an import would create or change
+ * @param {string} rootDir - Absolute path of `database/`
+ * @param {string[][]} rows - Parsed CSV rows
+ * @returns {Promise<Array<Object>>} Changes
+ *   `{ file, relPath, before, after }` (`before` is null for new files),
+ *   plus `unchanged` records `{ relPath, unchanged: true }`
+ */
+async function planImport(rootDir, rows) {
+  const plan = [];
+
+  for (const { folder, name, cells } of rowsToRecords(rows)) {
+    const itemDir = path.join(rootDir, ...folder, name);
+    const files   = fs.existsSync(itemDir)
+      ? (await fs.promises.readdir(itemDir, { withFileTypes: true })).filter(e => e.isFile()).map(e => e.name)
+      : [];
+    const fileName = mainInfoFile(files);
+    const file     = path.join(itemDir, fileName);
+    const relPath  = ['database', ...folder, name, fileName].join('/');
+
+    const before = files.includes(fileName) ? await fs.promises.readFile(file, 'utf8') : null;
+    const { body } = parseFrontMatter(before);
+    const frontMatter = before ? before.slice(0, before.length - body.length) : '';
+
+    const wanted = new Map([...cells].map(([heading, cell]) => [heading, cellToEntries(cell)]));
+    const after  = updateSections(body || '', wanted);
+
+    if (after === null && before !== null) {
+      plan.push({ relPath, unchanged: true });
+      continue;
+    }
+
+    plan.push({ file, relPath, before, after: frontMatter + (after || '') });
+  }
+
+  return plan;
+}
+
+/**
+ * List the sections whose text differs between two versions of an info file
+ * @param {string|null} before - Old file text
+ * @param {string} after - New file text
+ * @returns {string[]} Headings ('' for the text before the first heading, or
+ *   "(front matter)") whose raw lines are not byte for byte the same
+ */
+function changedSections(before, after) {
+  const read = text => {
+    const { body } = parseFrontMatter(text || '');
+    const sections = new Map();
+    splitSections(body).forEach(({ heading, lines }) => {
+      sections.set(heading, [...(sections.get(heading) || []), ...lines].join('\n'));
+    });
+    return { frontMatter: (text || '').slice(0, (text || '').length - body.length), sections };
+  };
+
+  const a = read(before);
+  const b = read(after);
+  const changed = a.frontMatter === b.frontMatter ? [] : ['(front matter)'];
+  new Set([...a.sections.keys(), ...b.sections.keys()]).forEach(heading => {
+    if (a.sections.get(heading) !== b.sections.get(heading)) changed.push(heading);
+  });
+  return changed;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string|null} before - Old text (null for a new file)
+ * @param {string} after - New text
+ * @param {number} [context=Infinity] - Unchanged lines kept around each
+ *   change; longer runs are collapsed to "…"
+ * @returns {string[]} Lines prefixed with "  ", "- " or "+ "
+ */
+function diffLines(before, after, context = Infinity) {
+  const a = before === null ? [] : before.split(/\r?\n/);
+  const b = after.split(/\r?\n/);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // deletions first on ties, like git diff
+      out.push(`- ${a[i++]}`);
+    } else {
+      out.push(`+ ${b[j++]}`);
+    }
+  }
+
+  const changed = out.map((line, index) => (line.startsWith('  ') ? -1 : index)).filter(index => index >= 0);
+  const kept    = [];
+  out.forEach((line, index) => {
+    if (changed.some(at => Math.abs(at - index) <= context)) kept.push(line);
+    else if (kept[kept.length - 1] !== '  …') kept.push('  …');
+  });
+  return kept;
+}
+
+/**
+ * Write planned changes; only info files are written, folders created as
+ * needed
+ * @param {Array<Object>} plan - Result of planImport()
+ * @returns {Promise<number>} Files written
+ */
+async function applyImport(plan) {
+  let written = 0;
+  for (const change of plan) {
+    if (change.unchanged) continue;
+    await fs.promises.mkdir(path.dirname(change.file), { recursive: true });
+    await fs.promises.writeFile(change.file, change.after, 'utf8');
+    written++;
+  }
+  return written;
+}
+
+module.exports = {
+  INTRO_COLUMN,
+  NAME_COLUMN,
+  PATH_COLUMN,
+  applyImport,
+  cellToEntries,
+  changedSections,
+  diffLines,
+  entriesToCell,
+  mainInfoFile,
+  manifestToRows,
+  planImport,
+  readSections,
+  updateSections
+};
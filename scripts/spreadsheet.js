@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/spreadsheet.js
+ *
+ * Round-trip the database through a spreadsheet: export every item to CSV,
+ * edit or add rows (e.g. a new cohort) in Excel, LibreOffice or Google
+ * Sheets, and import the sheet back into `database/`. The column layout is
+ * described in lib/spreadsheet.js. Save .xlsx sheets as "CSV UTF-8" first.
+ *
+ * Usage:
+ *   node scripts/spreadsheet.js export [--out <file>] [--delimiter <char>]
+ *   node scripts/spreadsheet.js import <file> [--write]
+ *   node scripts/spreadsheet.js check
+ *
+ * `export` writes to stdout unless --out is given; --delimiter ";" suits
+ * Excel in locales that use a decimal comma.
+ *
+ * `import` is a dry run by default: it prints a diff of every info file it
+ * would create or change. Run it again with --write to apply. Only info
+ * files are written – avatars, images and meta.json are never touched.
+ *
+ * `check` makes sure the import keeps what a sheet does not change: a fresh
+ * export must import as unchanged, and one edited cell per item must change
+ * only that section of its info file. Run it after touching lib/spreadsheet.js.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { scanDatabase } = require('./lib/scan');
+const { formatCsv, parseCsv } = require('./lib/csv');
+const {
+  INTRO_COLUMN,
+  applyImport,
+  changedSections,
+  diffLines,
+  manifestToRows,
+  planImport
+} = require('./lib/spreadsheet');
+
+// unchanged lines shown around each change in the dry-run diff
+const DIFF_CONTEXT = 2;
+
+/**
+ * Read the value following a flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} flag - e.g. "--out"
+ * @returns {string|null} Value, or null if the flag is absent
+ */
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 && args[index + 1] ? args[index + 1] : null;
+}
+
+/**
+ * Export every item to CSV
+ * @param {string} repoDir - Repository root
+ * @param {string[]} args - Arguments after "export"
+ */
+async function exportCommand(repoDir, args) {
+  const outFile   = option(args, '--out');
+  const delimiter = option(args, '--delimiter') || ',';
+  if (delimiter.length !== 1) throw new Error('--delimiter must be a single character');
+
+  const manifest = await scanDatabase(path.join(repoDir, 'database'));
+  const rows     = manifestToRows(manifest);
+  const csv      = formatCsv(rows, delimiter);
+
+  if (outFile) {
+    await fs.promises.writeFile(path.resolve(repoDir, outFile), csv, 'utf8');
+    console.log(`✅  Exported ${rows.length - 1} items (${rows[0].length - 2} sections) to ${outFile}`);
+  } else {
+    process.stdout.write(csv);
+  }
+}
+
+/**
+ * Import a CSV: show the diff, and write it with --write
+ * @param {string} repoDir - Repository root
+ * @param {string[]} args - Arguments after "import"
+ */
+async function importCommand(repoDir, args) {
+  const inFile = args.find(arg => !arg.startsWith('--'));
+  if (!inFile) throw new Error('Usage: node scripts/spreadsheet.js import <file.csv> [--write]');
+
+  const rows = parseCsv(await fs.promises.readFile(path.resolve(repoDir, inFile), 'utf8'));
+  const plan = await planImport(path.join(repoDir, 'database'), rows);
+
+  const created   = plan.filter(change => !change.unchanged && change.before === null);
+  const updated   = plan.filter(change => !change.unchanged && change.before !== null);
+  const unchanged = plan.filter(change => change.unchanged);
+
+  plan.filter(change => !change.unchanged).forEach(change => {
+    console.log(`\n${change.before === null ? '+++ new' : '~~~'} ${change.relPath}`);
+    diffLines(change.before, change.after, DIFF_CONTEXT).forEach(line => console.log(`  ${line}`));
+  });
+
+  console.log(`\n${created.length} to create, ${updated.length} to update, ${unchanged.length} unchanged`);
+
+  if (!args.includes('--write')) {
+    if (created.length + updated.length > 0) console.log('Dry run – nothing written. Run again with --write to apply.');
+    return;
+  }
+
+  const written = await applyImport(plan);
+  console.log(`✅  Wrote ${written} info file${written === 1 ? '' : 's'}. Run npm run generate to update the manifest.`);
+}
+
+/**
+ * Import a fresh export, unedited and with one edited cell per item, and
+ * report any change outside the edited sections
+ * @param {string} repoDir - Repository root
+ */
+async function checkCommand(repoDir) {
+  const rootDir  = path.join(repoDir, 'database');
+  const rows     = manifestToRows(await scanDatabase(rootDir));
+  const problems = [];
+
+  // go through CSV text, as a saved sheet would
+  const plan = sheet => planImport(rootDir, parseCsv(formatCsv(sheet)));
+
+  (await plan(rows)).forEach(change => {
+    if (!change.unchanged) {
+      problems.push(`${change.relPath}: a fresh export changes ${changedSections(change.before, change.after).join(', ')}`);
+    }
+  });
+
+  // edit each item's first filled section
+  const edited = rows.slice(1).map(row => {
+    const column = Math.max(2, row.findIndex((cell, index) => index >= 2 && cell));
+    return { row: row.map((cell, index) => (index === column ? `${cell}\n+ Spreadsheet check` : cell)), column };
+  });
+  const changes = await plan([rows[0], ...edited.map(({ row }) => row)]);
+
+  changes.forEach((change, index) => {
+    const heading  = rows[0][edited[index].column];
+    const expected = [heading === INTRO_COLUMN ? '' : heading];
+    const actual   = change.unchanged ? [] : changedSections(change.before, change.after);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      problems.push(`${change.relPath}: editing "${heading}" changes ${actual.map(h => `"${h}"`).join(', ') || 'nothing'}`);
+    }
+  });
+
+  problems.forEach(problem => console.log(`  ${problem}`));
+  if (problems.length > 0) throw new Error(`${problems.length} problem${problems.length === 1 ? '' : 's'} with the spreadsheet round trip`);
+  console.log(`✅  ${rows.length - 1} items import unchanged, and one edited cell changes only its section`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const repoDir = process.cwd();
+
+  if (command === 'export') return exportCommand(repoDir, args);
+  if (command === 'import') return importCommand(repoDir, args);
+  if (command === 'check')  return checkCommand(repoDir);
+  throw new Error('Usage: node scripts/spreadsheet.js export|import|check … (see the comment at the top of the script)');
+}
+
+// run
+main().catch(err => {
+  console.error(`❌  ${err.message}`);
+  process.exit(1);
+});
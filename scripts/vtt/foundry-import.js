@@ -0,0 +1,49 @@
+/**
+ * scripts/vtt/foundry-import.js
+ *
+ * Foundry VTT script macro that imports a multi-entry export (a file from
+ * the "Export" menu or scripts/export_vtt.js with `"schema":
+ * "aoh-foundry-compendium"`). Foundry's own "Import Data" only takes one
+ * document, which is what a single-entry export is.
+ *
+ * Install: Macro Directory → Create Macro, Type "Script", paste this file.
+ * Run the macro as GM, pick the .json file; the entries are created in a new
+ * Actors or Journal folder named after the export.
+ */
+
+(() => {
+  'use strict';
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      ui.notifications.error(`${file.name} is not a JSON file`);
+      return;
+    }
+
+    if (!data || data.schema !== 'aoh-foundry-compendium' || !Array.isArray(data.documents)) {
+      ui.notifications.error(`${file.name} is not a multi-entry export; import single entries with "Import Data"`);
+      return;
+    }
+    if (!['Actor', 'JournalEntry'].includes(data.type)) {
+      ui.notifications.error(`${file.name} holds unsupported documents (${data.type})`);
+      return;
+    }
+
+    const folder = await Folder.create({ name: data.name || 'Academy of Heroes', type: data.type });
+    const documents = data.documents.map(document => ({ ...document, folder: folder.id }));
+    await getDocumentClass(data.type).createDocuments(documents);
+    ui.notifications.info(`Imported ${documents.length} entries into "${folder.name}"`);
+  });
+
+  input.click();
+})();
@@ -0,0 +1,87 @@
+/**
+ * scripts/vtt/roll20-import.js
+ *
+ * Roll20 Mod (API) script that turns a Roll20 export (a file from the
+ * "Export" menu or scripts/export_vtt.js with `"schema":
+ * "aoh-roll20-handouts"`) into handouts. Roll20 has no file import for
+ * handouts, so the JSON goes through a handout. Mod scripts need a Pro
+ * subscription.
+ *
+ * Install: Game Settings → Mod (API) Scripts → New Script, paste this file,
+ * Save Script.
+ *
+ * Import:
+ *   1. Create a handout named "AoH Import" and paste the exported JSON into
+ *      its GM Notes.
+ *   2. Type `!aoh-import` in the chat (as GM).
+ * Each entry becomes a handout (GM secrets in its GM Notes, avatar at the
+ * top of its notes) in no player's journal; share them from the handout's
+ * settings. The "AoH Import" handout can be deleted afterwards.
+ */
+
+/* global on, findObjs, createObj, sendChat, playerIsGM */
+
+on('ready', () => {
+  'use strict';
+
+  const SOURCE_NAME = 'AoH Import';
+
+  /**
+   * Turn the HTML Roll20 stores for a pasted text back into the text
+   * @param {string} html - Notes field contents
+   * @returns {string} Plain text
+   */
+  const htmlToText = html => String(html || '')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+  /**
+   * Whisper a message to the GM
+   * @param {string} text - Message
+   */
+  const reply = text => sendChat('Academy of Heroes', `/w gm ${text}`);
+
+  on('chat:message', message => {
+    if (message.type !== 'api' || !/^!aoh-import\b/.test(message.content)) return;
+    if (!playerIsGM(message.playerid)) return;
+
+    const source = findObjs({ type: 'handout', name: SOURCE_NAME })[0];
+    if (!source) {
+      reply(`Create a handout named "${SOURCE_NAME}" and paste the exported JSON into its GM Notes.`);
+      return;
+    }
+
+    source.get('gmnotes', notes => {
+      let data;
+      try {
+        data = JSON.parse(htmlToText(notes));
+      } catch (error) {
+        reply(`The GM Notes of "${SOURCE_NAME}" are not valid JSON.`);
+        return;
+      }
+      if (!data || data.schema !== 'aoh-roll20-handouts' || !Array.isArray(data.handouts)) {
+        reply(`The GM Notes of "${SOURCE_NAME}" are not a Roll20 export.`);
+        return;
+      }
+
+      data.handouts.forEach(entry => {
+        const handout = createObj('handout', {
+          name: entry.name,
+          inplayerjournals: entry.inplayerjournals || '',
+          archived: Boolean(entry.archived)
+        });
+        // notes can only be set once the handout exists
+        const avatar = entry.avatar ? `<p><img src="${String(entry.avatar).replace(/"/g, '&quot;')}"></p>` : '';
+        handout.set('notes', avatar + (entry.notes || ''));
+        handout.set('gmnotes', entry.gmnotes || '');
+      });
+      reply(`Imported ${data.handouts.length} handouts.`);
+    });
+  });
+});
@@ -0,0 +1,424 @@
+/**
+ * Academy of Heroes - Service Worker
+ * Keeps the database usable offline (registered by js/app.js in the player
+ * build only).
+ *
+ *   app shell         index.html and the css/js/icons it links: precached on
+ *                     install, served from the cache and refreshed in the
+ *                     background
+ *   manifest.json     served from the cache and refreshed in the background;
+ *                     when its `version` changes the other caches are
+ *                     updated and open pages are told to reload
+ *   database/ files   detail and search files, thumbnails (precached),
+ *                     avatars and images: cached on first view, or all at
+ *                     once on a "download-all" message from the page; images
+ *                     under the `?v=<hash>` URLs the page requests
+ *   entry pages       (entry/<id>/, player build) never cached; offline, a
+ *                     visit is redirected to the app's `#/<id>` route
+ *
+ * Messages sent to pages:
+ *   { type: 'content-updated' }
+ *   { type: 'download-progress', done, total }
+ *   { type: 'download-done', failed }
+ */
+
+'use strict';
+
+// AssetUrls.versionedUrl(): images are cached under the page's ?v= URLs
+importScripts('js/assets.js');
+
+const SHELL_CACHE = 'aoh-shell';
+const DATA_CACHE  = 'aoh-data';
+const IMAGE_CACHE = 'aoh-images';
+const CACHES      = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+const MANIFEST_PATH = 'database/manifest.json';
+const SHELL_PATHS   = ['./'];
+const CDN_ORIGIN    = 'https://cdnjs.cloudflare.com';
+
+// same-origin assets linked from index.html (with their ?v= cache-busters)
+const SHELL_ASSET_RE = /(?:src|href)="((?:css|js|icons)\/[^"]+)"/g;
+const IMAGE_RE       = /\.(?:avif|gif|jpe?g|png|svg|webp)$/i;
+
+// parallel requests while downloading everything
+const DOWNLOAD_CONCURRENCY = 4;
+
+// manifest check in progress, shared by concurrent manifest requests
+let pendingRefresh = null;
+
+/**
+ * Resolve a site path against the worker's scope
+ * @param {string} path - Path relative to the site root
+ * @returns {string} Absolute URL
+ */
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Send a message to every open page
+ * @param {Object} message - Message
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Fetch URLs into a cache, a few at a time
+ * @param {string} cacheName - Cache to fill
+ * @param {string[]} urls - Absolute URLs
+ * @param {Object} [options]
+ * @param {boolean} [options.skipCached=false] - Leave URLs already cached alone
+ * @param {function(): void} [options.onEach] - Called after each URL
+ * @returns {Promise<string[]>} URLs that could not be fetched
+ */
+async function cacheUrls(cacheName, urls, { skipCached = false, onEach = () => {} } = {}) {
+  const cache  = await caches.open(cacheName);
+  const queue  = [...new Set(urls)];
+  const failed = [];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      try {
+        if (!skipCached || !(await cache.match(url))) {
+          const response = await fetch(url, { cache: 'no-cache' });
+          if (!response.ok) throw new Error(`${response.status}`);
+          await cache.put(url, response);
+        }
+      } catch (error) {
+        failed.push(url);
+      }
+      onEach();
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return failed;
+}
+
+/**
+ * Precache the app shell, dropping assets the current index.html no longer links
+ * @returns {Promise<void>}
+ */
+async function refreshShell() {
+  const response = await fetch(scopeUrl('index.html'), { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`index.html: ${response.status}`);
+  const html = await response.clone().text();
+
+  const urls = [
+    ...SHELL_PATHS.map(scopeUrl),
+    ...[...html.matchAll(SHELL_ASSET_RE)].map(match => scopeUrl(match[1].replace(/&amp;/g, '&')))
+  ];
+
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.put(scopeUrl('index.html'), response);
+  await cacheUrls(SHELL_CACHE, urls);
+
+  const keep = new Set([scopeUrl('index.html'), ...urls]);
+  const keys = await cache.keys();
+  await Promise.all(keys
+    .filter(request => new URL(request.url).origin === self.location.origin && !keep.has(request.url))
+    .map(request => cache.delete(request)));
+}
+
+/**
+ * List the images a manifest names, as the page requests them
+ * @param {Object} manifest - Manifest
+ * @returns {Map<string, string>} Absolute versioned URL (`?v=<hash>`) →
+ *   absolute URL without the version
+ */
+function getImageUrls(manifest) {
+  const images = new Map();
+  const add = (path, meta) => {
+    if (path) images.set(scopeUrl(AssetUrls.versionedUrl(path, meta)), scopeUrl(path));
+  };
+
+  manifest.categories.forEach(category => {
+    category.subcategories.forEach(subcategory => {
+      add(subcategory.thumbnail, subcategory.thumbnailMeta);
+      subcategory.items.forEach(item => {
+        add(item.avatar, item.avatarMeta);
+        add(item.image, item.imageMeta);
+      });
+    });
+  });
+  return images;
+}
+
+/**
+ * List the thumbnails of a manifest, as the page requests them
+ * @param {Object} manifest - Manifest
+ * @returns {string[]} Absolute versioned URLs
+ */
+function getThumbnailUrls(manifest) {
+  return manifest.categories.flatMap(category => category.subcategories
+    .filter(subcategory => subcategory.thumbnail)
+    .map(subcategory => scopeUrl(AssetUrls.versionedUrl(subcategory.thumbnail, subcategory.thumbnailMeta))));
+}
+
+/**
+ * List the search files of a manifest, as the page requests them
+ * @param {Object} manifest - Manifest
+ * @returns {string[]} Absolute URLs
+ */
+function getSearchUrls(manifest) {
+  const search = manifest.search;
+  return search ? [search.index, search.text].map(path => scopeUrl(`${path}?v=${search.hash}`)) : [];
+}
+
+/**
+ * Bring the data and image caches in line with a new manifest
+ * Cached detail files are refetched and search files replaced by the new
+ * build's. Images are cached by versioned URL: versions the manifest no
+ * longer names are dropped and their new version fetched, and images
+ * embedded in info text (cached without a version) are refetched.
+ * @param {Object} manifest - New manifest
+ * @returns {Promise<void>}
+ */
+async function updateCaches(manifest) {
+  const data     = await caches.open(DATA_CACHE);
+  const dataKeys = (await data.keys()).map(request => request.url).filter(url => url !== scopeUrl(MANIFEST_PATH));
+  const searched = dataKeys.some(url => url.includes('?'));
+
+  await Promise.all(dataKeys.filter(url => url.includes('?')).map(url => data.delete(url)));
+  const details = dataKeys.filter(url => !url.includes('?'));
+  const missing = await cacheUrls(DATA_CACHE, [...details, ...(searched ? getSearchUrls(manifest) : [])]);
+  await Promise.all(missing.map(url => data.delete(url)));
+
+  const wanted   = getImageUrls(manifest);
+  const paths    = new Set(wanted.values());
+  const images   = await caches.open(IMAGE_CACHE);
+  const cached   = (await images.keys()).map(request => request.url);
+  const stale    = cached.filter(url => !wanted.has(url));
+  const embedded = stale.filter(url => !url.includes('?') && !paths.has(url));
+  const replaced = [...wanted].filter(([url, path]) =>
+    !cached.includes(url) && stale.some(old => old.split('?')[0] === path)).map(([url]) => url);
+
+  await Promise.all(stale.filter(url => !embedded.includes(url)).map(url => images.delete(url)));
+  const gone = await cacheUrls(IMAGE_CACHE, [...embedded, ...replaced]);
+  await Promise.all(gone.filter(url => embedded.includes(url)).map(url => images.delete(url)));
+  await cacheUrls(IMAGE_CACHE, getThumbnailUrls(manifest), { skipCached: true });
+}
+
+/**
+ * Get the cached manifest
+ * @returns {Promise<Response|undefined>}
+ */
+function getCachedManifest() {
+  return caches.match(scopeUrl(MANIFEST_PATH), { cacheName: DATA_CACHE });
+}
+
+/**
+ * Fetch the manifest and, if its version is new, store it and update the caches
+ * @param {Object|null} previous - Cached manifest
+ * @returns {Promise<Response>} Network response
+ */
+async function refreshManifest(previous) {
+  const response = await fetch(scopeUrl(MANIFEST_PATH), { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`${MANIFEST_PATH}: ${response.status}`);
+
+  const manifest = await response.clone().json();
+  if (previous && previous.version === manifest.version) return response;
+
+  const cache = await caches.open(DATA_CACHE);
+  if (!previous) {
+    await cache.put(scopeUrl(MANIFEST_PATH), response.clone());
+    await cacheUrls(IMAGE_CACHE, getThumbnailUrls(manifest));
+    return response;
+  }
+
+  await Promise.all([refreshShell(), updateCaches(manifest)]);
+
+  // a worker that was replaced meanwhile may have stored it already
+  const latest = await getCachedManifest();
+  const stored = latest && (await latest.json()).version === manifest.version;
+  await cache.put(scopeUrl(MANIFEST_PATH), response.clone());
+  if (!stored) await notifyClients({ type: 'content-updated' });
+  return response;
+}
+
+/**
+ * Serve the manifest from the cache and check for a new one in the background
+ * @param {FetchEvent} event - Manifest request
+ * @returns {Promise<Response>}
+ */
+async function serveManifest(event) {
+  const cached = await getCachedManifest();
+  const previous = cached ? await cached.clone().json() : null;
+  if (!pendingRefresh) {
+    pendingRefresh = refreshManifest(previous).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  const update = pendingRefresh;
+
+  if (!cached) return (await update).clone();
+  event.waitUntil(update.catch(error => console.warn('Manifest update failed:', error)));
+  return cached;
+}
+
+/**
+ * Serve from the cache, fetching (and caching) on a miss
+ * A request that asks to bypass caches (`cache: 'reload'`) goes to the network.
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = request.cache === 'reload' ? null : await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+/**
+ * Find the app route for a static entry page URL
+ * The root index.html cannot stand in for an entry page (its relative URLs
+ * would resolve under entry/<id>/), so offline visits go to the route instead.
+ * @param {string} url - Absolute page URL
+ * @returns {Promise<string|null>} e.g. "./#/characters/teachers/theano", or
+ *   null for other pages
+ */
+async function getEntryRoute(url) {
+  const cached = await getCachedManifest();
+  const prefix = cached && (await cached.json()).entryPages;
+  const path   = new URL(url).pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (!prefix || !path.startsWith(prefix)) return null;
+
+  const id = decodeURIComponent(path.slice(prefix.length)).replace(/\/(?:index\.html)?$/, '');
+  return id ? `./#/${id}` : null;
+}
+
+/**
+ * Serve from the cache and refresh the cached copy in the background
+ * Pages opened offline that were never cached get the cached index.html.
+ * @param {FetchEvent} event - Request event
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const update = fetch(request).then(async response => {
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await update;
+  } catch (error) {
+    if (request.mode !== 'navigate') throw error;
+    const route = await getEntryRoute(request.url);
+    if (route) return Response.redirect(scopeUrl(route), 302);
+    const fallback = await cache.match(scopeUrl('index.html'));
+    if (fallback) return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Cache everything the database references, reporting progress to the page
+ * @param {Client} client - Page that asked
+ * @returns {Promise<void>}
+ */
+async function downloadAll(client) {
+  let done = 0;
+  let total = 0;
+  const report = () => client.postMessage({ type: 'download-progress', done, total });
+  const onEach = () => {
+    done++;
+    report();
+  };
+
+  try {
+    const response = await getCachedManifest() || await refreshManifest(null);
+    const manifest = await response.json();
+
+    const details = manifest.categories.flatMap(category =>
+      category.subcategories.filter(subcategory => subcategory.details).map(subcategory => scopeUrl(subcategory.details)));
+    const dataUrls = [...details, ...getSearchUrls(manifest)];
+    const imageUrls = [...getImageUrls(manifest).keys()];
+    total = dataUrls.length + imageUrls.length;
+    report();
+
+    const failed = await cacheUrls(DATA_CACHE, dataUrls, { skipCached: true, onEach });
+
+    // images embedded in info text are only listed in the detail files
+    const data = await caches.open(DATA_CACHE);
+    for (const url of details) {
+      const file = await data.match(url);
+      if (!file) continue;
+      Object.values((await file.json()).items || {}).forEach(item => {
+        (item.attachments || []).forEach(path => imageUrls.push(scopeUrl(path)));
+      });
+    }
+    total = dataUrls.length + new Set(imageUrls).size;
+    report();
+
+    failed.push(...await cacheUrls(IMAGE_CACHE, imageUrls, { skipCached: true, onEach }));
+    client.postMessage({ type: 'download-done', failed: failed.length });
+  } catch (error) {
+    console.error('Offline download failed:', error);
+    client.postMessage({ type: 'download-done', failed: -1 });
+  }
+}
+
+// A new version of this file only precaches the shell (and, on a first
+// install, the manifest and thumbnails). Data caches are brought up to date
+// by the worker serving the next manifest request, so the pages are told to
+// reload once, by the worker that controls them.
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cached = await getCachedManifest();
+    await Promise.all([refreshShell(), cached ? null : refreshManifest(null)]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !CACHES.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === CDN_ORIGIN) {
+    // Font Awesome stylesheet and fonts
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (path === MANIFEST_PATH) {
+    event.respondWith(serveManifest(event));
+  } else if (path.startsWith('database/')) {
+    event.respondWith(cacheFirst(request, IMAGE_RE.test(path) ? IMAGE_CACHE : DATA_CACHE));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'download-all' && event.source) {
+    event.waitUntil(downloadAll(event.source));
+  }
+});